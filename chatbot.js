@@ -1,18 +1,160 @@
 const { google } = require('googleapis');
 const axios = require('axios');
 const http = require('http');
+const EventEmitter = require('events');
+const { CommandRegistry, getRole } = require('./lib/commands');
+const { registerBuiltinCommands } = require('./lib/builtin-commands');
+const { Personality, render } = require('./lib/personality');
+const { Moderator } = require('./lib/moderation');
+const { QuotaLedger } = require('./lib/quota');
+const { createDiscovery, nextCheckDelay, fetchLiveVideos } = require('./lib/discovery');
+const { StreamSession } = require('./lib/stream-session');
+const { OAuthManager, TokenStore } = require('./lib/oauth');
+const { Router } = require('./lib/router');
+const { registerRoutes } = require('./lib/http-routes');
+const { EventStream } = require('./lib/event-stream');
+const { LlmResponder, createProvider } = require('./lib/llm');
+const { OutboundQueue } = require('./lib/outbound-queue');
+const { LoyaltyStore } = require('./lib/loyalty');
+const { SupportTracker } = require('./lib/support');
+const { SessionRecorder } = require('./lib/session-recorder');
+const { FakeYouTube } = require('./lib/simulation');
+const { PollManager } = require('./lib/polls');
+const { GiveawayManager } = require('./lib/giveaways');
+const { Announcer } = require('./lib/announcements');
+const { detectLanguage, normalizeText } = require('./lib/language');
+const { Notifier } = require('./lib/notifications');
+const { logger, errorFields } = require('./lib/logger');
+const { MetricsRegistry } = require('./lib/metrics');
+const { classifyApiError, backoffDelay, CircuitBreaker } = require('./lib/api-errors');
+const { Checkpoint } = require('./lib/checkpoint');
+const { ReplyLimiter } = require('./lib/reply-limiter');
 
-class YouTubeChatBot {
+const log = logger.child({ component: 'bot' });
+
+// Whole number from the environment; unlike `parseInt(...) || fallback` an explicit 0 is kept
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+// Log context for everything about one stream
+function streamFields(session) {
+    return { videoId: session.videoId, liveChatId: session.liveChatId || undefined };
+}
+
+class YouTubeChatBot extends EventEmitter {
     constructor() {
+        super();
+
         // Load configuration from environment variables
         this.config = {
             apiKey: process.env.YOUTUBE_API_KEY,
             clientId: process.env.YOUTUBE_CLIENT_ID,
             clientSecret: process.env.YOUTUBE_CLIENT_SECRET,
             channelId: process.env.YOUTUBE_CHANNEL_ID,
+            // Extra channels to watch (comma separated), the main channel is always included
+            channelIds: [...new Set([process.env.YOUTUBE_CHANNEL_ID, ...(process.env.YOUTUBE_CHANNEL_IDS || '').split(',')]
+                .map(id => id && id.trim())
+                .filter(Boolean))],
+            maxStreams: parseInt(process.env.MAX_STREAMS) || 3,
             botName: process.env.BOT_NAME || 'GameBuddy',
+            // The bot account's channel, to recognise its own messages (learned from the first one sent if empty)
+            botChannelId: process.env.BOT_CHANNEL_ID || '',
             ownerUsername: process.env.OWNER_USERNAME || '',
-            redirectUri: "urn:ietf:wg:oauth:2.0:oob",
+            ownerChannelId: process.env.OWNER_CHANNEL_ID || '',
+            commandPrefix: process.env.COMMAND_PREFIX || '!',
+            commandsModule: process.env.COMMANDS_MODULE || '',
+            personalityFile: process.env.PERSONALITY_CONFIG || 'config/personality.json',
+            // Language assumed when a message's own can't be told (empty = the personality's default)
+            defaultLocale: process.env.DEFAULT_LOCALE || '',
+            // Per-channel defaults, e.g. UCaaaa:es,UCbbbb:pt-BR
+            channelLocales: Object.fromEntries((process.env.CHANNEL_LOCALES || '').split(',')
+                .map(pair => pair.split(':').map(part => part.trim()))
+                .filter(([channelId, locale]) => channelId && locale)),
+            moderationFile: process.env.MODERATION_CONFIG || 'config/moderation.json',
+            replyLimitsFile: process.env.REPLY_LIMITS_CONFIG || 'config/reply-limits.json',
+            supportFile: process.env.SUPPORT_CONFIG || 'config/support.json',
+            announcementsFile: process.env.ANNOUNCEMENTS_CONFIG || 'config/announcements.json',
+            notificationsFile: process.env.NOTIFICATIONS_CONFIG || 'config/notifications.json',
+            pollDurationMs: (parseInt(process.env.POLL_DURATION_SECONDS) || 120) * 1000,
+            // YouTube Data API quota (resets at midnight Pacific Time)
+            quota: {
+                limit: parseInt(process.env.QUOTA_LIMIT) || 10000,
+                safetyBuffer: envInt('QUOTA_SAFETY_BUFFER', 500),
+                warningThreshold: envInt('QUOTA_WARNING_THRESHOLD', 8000),
+                ledgerFile: process.env.QUOTA_LEDGER_FILE || 'data/quota.json'
+            },
+            // Quota budgeting across the stream
+            budget: {
+                expectedRepliesPerHour: parseInt(process.env.EXPECTED_REPLIES_PER_HOUR) || 20,
+                minPollIntervalMs: parseInt(process.env.MIN_POLL_INTERVAL_MS) || 8000,
+                maxPollIntervalMs: parseInt(process.env.MAX_POLL_INTERVAL_MS) || 120000,
+                minReplyIntervalMs: parseInt(process.env.MIN_REPLY_INTERVAL_MS) || 15000,
+                defaultStreamHours: parseFloat(process.env.DEFAULT_STREAM_HOURS) || 3
+            },
+            // Reactions to failed YouTube calls
+            apiErrors: {
+                backoffBaseMs: parseInt(process.env.API_BACKOFF_BASE_MS) || 5000,
+                backoffMaxMs: parseInt(process.env.API_BACKOFF_MAX_MS) || 5 * 60 * 1000,
+                breakerThreshold: parseInt(process.env.API_BREAKER_THRESHOLD) || 5,
+                breakerCooldownMs: (parseInt(process.env.API_BREAKER_COOLDOWN_SECONDS) || 300) * 1000
+            },
+            // Where each chat was, so a restart rejoins it
+            checkpointFile: process.env.CHECKPOINT_FILE || 'data/checkpoint.json',
+            // How long shutdown waits for queued replies to go out
+            shutdownTimeoutMs: (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 8) * 1000,
+            // Defaults to <public url>/oauth2callback
+            redirectUri: process.env.OAUTH_REDIRECT_URI || '',
+            tokenFile: process.env.OAUTH_TOKEN_FILE || 'data/oauth-tokens.json',
+            authSetupToken: process.env.AUTH_SETUP_TOKEN || '',
+            // Optional AI replies when someone addresses the bot by name
+            ai: {
+                provider: process.env.AI_PROVIDER || '', // openai or mock, empty = off
+                baseUrl: process.env.AI_BASE_URL || 'http://localhost:11434/v1',
+                apiKey: process.env.AI_API_KEY || '',
+                model: process.env.AI_MODEL || 'llama3.2',
+                timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 8000,
+                systemPrompt: process.env.AI_SYSTEM_PROMPT || ''
+            },
+            // Outbound chat queue
+            outbound: {
+                ttlMs: (parseInt(process.env.OUTBOUND_TTL_SECONDS) || 60) * 1000,
+                dedupeWindowMs: (parseInt(process.env.OUTBOUND_DEDUPE_SECONDS) || 120) * 1000,
+                maxRetries: parseInt(process.env.OUTBOUND_MAX_RETRIES) || 3,
+                maxParts: parseInt(process.env.OUTBOUND_MAX_PARTS) || 3
+            },
+            // Viewer loyalty points
+            loyalty: {
+                enabled: process.env.LOYALTY_ENABLED !== 'false',
+                filePath: process.env.LOYALTY_FILE || 'data/loyalty.json',
+                pointsPerMessage: parseInt(process.env.LOYALTY_POINTS_PER_MESSAGE) || 1,
+                pointsPerMinute: parseInt(process.env.LOYALTY_POINTS_PER_MINUTE) || 1,
+                memberMultiplier: parseFloat(process.env.LOYALTY_MEMBER_MULTIPLIER) || 2,
+                superChatBonus: parseInt(process.env.LOYALTY_SUPERCHAT_BONUS) || 100
+            },
+            // Per-stream recordings and reports
+            recording: {
+                enabled: process.env.SESSION_RECORDING !== 'false',
+                dir: process.env.SESSION_DIR || 'data/sessions'
+            },
+            // Random pause before ambient replies so the bot seems human
+            replyDelayMs: {
+                min: parseInt(process.env.REPLY_DELAY_MIN_MS) || 2000,
+                max: parseInt(process.env.REPLY_DELAY_MAX_MS) || 8000
+            },
+            // Offline mode: replay a script against a fake YouTube API instead of the real one
+            simulation: {
+                script: process.env.SIMULATION_SCRIPT || '',
+                speed: parseFloat(process.env.SIMULATION_SPEED) || 1,
+                checkIntervalMs: (parseInt(process.env.SIMULATION_CHECK_SECONDS) || 10) * 1000
+            },
+            // Status server control API
+            controlApiToken: process.env.CONTROL_API_TOKEN || '',
+            corsOrigin: process.env.CORS_ORIGIN || '',
+            // How to find live streams: search, uploads, broadcasts or websub
+            discovery: process.env.STREAM_DISCOVERY || 'uploads',
+            streamCheckMinutes: parseInt(process.env.STREAM_CHECK_MINUTES) || 0,
             // Streaming schedule (24-hour format)
             streamingHours: {
                 start: parseInt(process.env.STREAM_START_HOUR) || 18, // 6 PM
@@ -20,76 +162,69 @@ class YouTubeChatBot {
             }
         };
 
-        // Bot personality responses
-        this.responses = {
-            greetings: [
-                "Hey there! Welcome to the stream! 🎮",
-                "What's up, gamer! Ready for some epic gameplay?",
-                "Welcome to the party! This is gonna be awesome! 🔥",
-                "Hey! Great to see you here! Let's have some fun!",
-                "Welcome aboard! Hope you enjoy the stream! 🚀"
-            ],
-            reactions: {
-                amazing: [
-                    "That was incredible! 🔥",
-                    "No way! How did you do that?!",
-                    "AMAZING play!",
-                    "Absolutely insane! 🤯",
-                    "Pro gamer move right there!"
-                ],
-                fail: [
-                    "Ouch! That hurt to watch 😅",
-                    "We've all been there!",
-                    "Better luck next time!",
-                    "F in the chat",
-                    "Don't worry, you got this next time!"
-                ],
-                clutch: [
-                    "CLUTCH! 🔥",
-                    "That was so close!",
-                    "Heart attack moment right there!",
-                    "How did you pull that off?!",
-                    "Insane clutch play!"
-                ],
-                funny: [
-                    "LMAO 😂",
-                    "That's hilarious!",
-                    "I can't stop laughing!",
-                    "Comedy gold right there!",
-                    "LOL that was great!"
-                ]
-            },
-            encouragement: [
-                "You got this! 💪",
-                "Keep going, you're doing great!",
-                "Don't give up!",
-                "Believe in yourself!",
-                "You're getting better every game!"
-            ]
-        };
+        // Bot personality responses and trigger rules (validated now, reloaded on change)
+        this.personality = new Personality({ filePath: this.config.personalityFile }).load();
+        this.personality.watch();
 
         this.youtube = google.youtube('v3');
         this.oauth2Client = null;
-        this.liveChatId = null;
-        this.nextPageToken = null;
-        this.isRunning = false;
-        this.videoId = null;
-        this.streamCheckInterval = null;
-        this.lastResponseTime = 0;
-        this.dailyQuotaUsed = 0;
-        this.quotaResetTime = this.getNextQuotaReset();
+        // Monitored broadcasts by video ID (live, or upcoming with chat open)
+        this.streams = new Map();
+        this.streamCheckTimer = null;
+        this.nextStreamCheck = null;
+        this.checkingStream = false;
+        this.monitoring = false;
+        // Backlog for dashboards that connect mid-stream
+        this.recentChat = [];
+        this.recentErrors = [];
+        this.quota = new QuotaLedger({
+            filePath: this.config.quota.ledgerFile,
+            limit: this.config.quota.limit,
+            safetyBuffer: this.config.quota.safetyBuffer,
+            warningThreshold: this.config.quota.warningThreshold
+        });
+        this.recorder = new SessionRecorder(this.config.recording);
+        this.checkpoint = new Checkpoint({ filePath: this.config.checkpointFile });
+        this.botChannelId = this.config.botChannelId;
+        this.shuttingDown = false;
+        // One circuit breaker per kind of YouTube call
+        this.breakers = Object.fromEntries(['discovery', 'videos.list', 'liveChatMessages.list', 'liveChatMessages.insert', 'moderation']
+            .map(name => [name, new CircuitBreaker(name, {
+                threshold: this.config.apiErrors.breakerThreshold,
+                cooldownMs: this.config.apiErrors.breakerCooldownMs
+            })]));
+        this.lastOAuthRefresh = 0;
+        // Every chat message goes out through one writer
+        this.outbound = new OutboundQueue({
+            ...this.config.outbound,
+            send: item => this.postMessage(item.text, item.liveChatId, { rule: item.rule }),
+            // postMessage marks what it already classified (e.g. a 401 fixed by a token refresh)
+            isTransient: error => error.retryable ?? classifyApiError(error).retryable
+        });
         
+        this.setupMetrics();
+        this.setupLoyalty();
+        this.setupEngagement();
+        this.setupCommands();
+        this.setupModeration();
+        this.setupReplyLimits();
+        this.setupSupport();
+        this.setupNotifications();
+        this.setupAi();
         this.setupOAuth();
+        this.setupDiscovery();
+        this.setupSimulation();
         this.setupWebServer();
     }
 
-    // Get next quota reset time (midnight Pacific Time)
-    getNextQuotaReset() {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        return tomorrow;
+    // Units used since the last quota reset
+    get dailyQuotaUsed() {
+        return this.quota.used;
+    }
+
+    // Next quota reset (midnight Pacific Time)
+    get quotaResetTime() {
+        return this.quota.resetTime;
     }
 
     // Check if we're in streaming hours
@@ -106,400 +241,1452 @@ class YouTubeChatBot {
         }
     }
 
+    // How long the current stream is expected to keep going
+    getStreamTimeRemaining(now = new Date()) {
+        // A simulated stream lasts as long as its script
+        if (this.simulator) {
+            return this.simulator.remainingMs();
+        }
+        if (!this.isStreamingTime()) {
+            return this.config.budget.defaultStreamHours * 60 * 60 * 1000;
+        }
+
+        // Streaming hours are inclusive, so the window closes at the end of the end hour
+        const windowEnd = new Date(now);
+        windowEnd.setHours(this.config.streamingHours.end + 1, 0, 0, 0);
+        if (windowEnd <= now) {
+            windowEnd.setDate(windowEnd.getDate() + 1);
+        }
+        return windowEnd - now;
+    }
+
+    // Re-plan a stream's poll interval and reply allowance from the quota that is left
+    planBudget(session, serverIntervalMs = 0) {
+        const remainingMs = this.getStreamTimeRemaining();
+        const previousStage = session.budget.plan && session.budget.plan.stage;
+
+        // Keep enough aside for the periodic stream checks
+        const checksPerRound = this.discovery.perChannel ? this.config.channelIds.length : 1;
+        const reserveUnits = Math.ceil(remainingMs / this.streamCheckIntervalMs) * this.discovery.cost * checksPerRound;
+
+        // Streams being polled at the same time share what is left
+        const activeCount = Math.max(1, this.getActiveStreams().length);
+        const plan = session.budget.update({
+            remainingQuota: Math.floor(this.quota.remaining / activeCount),
+            remainingMs,
+            reserveUnits: Math.ceil(reserveUnits / activeCount),
+            serverIntervalMs
+        });
+        // Ambient replies average out to what the quota allows, but can come in short bursts
+        this.limiter.pace(session.videoId, session.budget.repliesPerMinute());
+
+        if (previousStage && plan.stage !== previousStage) {
+            log.info('Budget stage changed', {
+                ...streamFields(session),
+                from: previousStage,
+                to: plan.stage,
+                pollIntervalMs: plan.pollIntervalMs || 0,
+                replyAllowance: plan.replyAllowance
+            });
+        }
+        return plan;
+    }
+
+    // Streams whose chat is currently being polled
+    getActiveStreams() {
+        return [...this.streams.values()].filter(session => session.isRunning);
+    }
+
+    // Chat to use when a message isn't a reply to a particular stream
+    getDefaultLiveChatId() {
+        const session = this.getActiveStreams()[0];
+        return session ? session.liveChatId : null;
+    }
+
     // Check quota before API call
     canMakeApiCall(cost) {
-        const now = new Date();
-        
-        // Reset quota counter if it's a new day
-        if (now >= this.quotaResetTime) {
-            this.dailyQuotaUsed = 0;
-            this.quotaResetTime = this.getNextQuotaReset();
-            console.log('🔄 Daily quota reset');
+        return this.quota.canSpend(cost);
+    }
+
+    // Track quota usage (persisted to the ledger file), attributed to a stream when given
+    trackQuotaUsage(cost, operation, videoId = null) {
+        const warnedBefore = this.quota.warned;
+        this.quota.track(operation, cost);
+        this.metrics.quotaUnits.inc({ operation }, cost);
+        this.recorder.record(videoId, 'quota', { operation, cost });
+
+        if (this.quota.warned && !warnedBefore) {
+            this.notifier.notify('quota.warning', {
+                used: this.quota.used,
+                limit: this.quota.limit,
+                remaining: this.quota.remaining,
+                resetTime: this.quota.resetTime.toISOString()
+            });
         }
-        
-        return (this.dailyQuotaUsed + cost) <= 9500; // Keep 500 units buffer
     }
 
-    // Track quota usage
-    trackQuotaUsage(cost) {
-        this.dailyQuotaUsed += cost;
-        console.log(`📊 Quota used: ${this.dailyQuotaUsed}/10000 units`);
-        
-        if (this.dailyQuotaUsed > 8000) {
-            console.warn('⚠️ Approaching quota limit!');
+    // Prometheus metrics served at /metrics
+    setupMetrics() {
+        const registry = new MetricsRegistry();
+        this.metrics = {
+            registry,
+            messagesReceived: registry.counter('chatbot_chat_messages_received_total',
+                'Chat messages and events received, by type', ['type']),
+            repliesSent: registry.counter('chatbot_replies_sent_total',
+                'Messages the bot posted to chat, by the rule that produced them', ['rule']),
+            repliesLimited: registry.counter('chatbot_replies_limited_total',
+                'Replies held back by rate limits or spam mutes, by the limit that applied', ['limit']),
+            quotaUnits: registry.counter('chatbot_quota_units_total',
+                'YouTube API quota units spent, by operation', ['operation']),
+            pollDuration: registry.histogram('chatbot_chat_poll_duration_seconds',
+                'Time taken by successful liveChatMessages.list calls', []),
+            apiErrors: registry.counter('chatbot_api_errors_total',
+                'YouTube API errors, by what the bot was doing and the reason YouTube gave', ['context', 'reason']),
+            streamConnected: registry.gauge('chatbot_stream_connected',
+                '1 while the bot is polling a stream\'s chat, 0 while it waits for it', ['video_id', 'channel_id'],
+                gauge => {
+                    for (const session of this.streams.values()) {
+                        gauge.set({ video_id: session.videoId, channel_id: session.channelId || '' }, session.isRunning ? 1 : 0);
+                    }
+                }),
+            quotaUsed: registry.gauge('chatbot_quota_used_units',
+                'Quota units used since the last daily reset', [],
+                gauge => gauge.set({}, this.quota.used)),
+            quotaLimit: registry.gauge('chatbot_quota_limit_units',
+                'Daily quota limit', [],
+                gauge => gauge.set({}, this.quota.limit)),
+            outboundDepth: registry.gauge('chatbot_outbound_queue_depth',
+                'Chat messages waiting to be sent', [],
+                gauge => gauge.set({}, this.outbound.items.length))
+        };
+    }
+
+    // Loyalty points (commands for it are registered in setupCommands)
+    setupLoyalty() {
+        const { enabled, ...options } = this.config.loyalty;
+        this.loyalty = enabled ? new LoyaltyStore(options) : null;
+    }
+
+    // Polls, giveaways and timed announcements (their commands are registered in setupCommands)
+    setupEngagement() {
+        this.polls = new PollManager({
+            defaultDurationMs: this.config.pollDurationMs,
+            onClose: (streamKey, results) => {
+                const session = this.streams.get(streamKey);
+                if (session && results) {
+                    this.sendMessage(PollManager.formatResults(results), session.liveChatId, { priority: 'command' });
+                }
+            }
+        });
+        this.giveaways = new GiveawayManager();
+        this.setupAnnouncements();
+        this.announcementTimer = null;
+    }
+
+    setupAnnouncements() {
+        const overrides = {};
+        if (process.env.ANNOUNCEMENTS_ENABLED) {
+            overrides.enabled = process.env.ANNOUNCEMENTS_ENABLED !== 'false';
+        }
+        const previous = this.announcer;
+        this.announcer = Announcer.fromFile(this.config.announcementsFile, overrides);
+        // Keep chat activity and posting times across a reload
+        if (previous) {
+            this.announcer.streams = previous.streams;
+        }
+    }
+
+    // Post a due announcement into each active chat (checked every 30 seconds while monitoring)
+    runAnnouncements(now = Date.now()) {
+        for (const session of this.getActiveStreams()) {
+            const announcement = this.announcer.next(session.videoId, now);
+            if (!announcement) continue;
+
+            this.announcer.markPosted(session.videoId, announcement.id, now);
+            const text = render(announcement.message, { botName: this.config.botName, streamTitle: session.title });
+            this.sendMessage(text, session.liveChatId, { priority: 'ambient', rule: `announcement:${announcement.id}` });
+        }
+    }
+
+    setupCommands() {
+        this.commands = new CommandRegistry({
+            prefix: this.config.commandPrefix,
+            ownerChannelId: this.config.ownerChannelId
+        });
+        registerBuiltinCommands(this.commands, this);
+
+        // Custom commands live in their own module so chatbot.js stays untouched
+        if (this.config.commandsModule) {
+            try {
+                this.commands.loadModule(this.config.commandsModule, this);
+            } catch (error) {
+                log.error('Failed to load commands module', { modulePath: this.config.commandsModule, error });
+            }
+        }
+    }
+
+    // Thank-you messages for Super Chats, stickers and memberships
+    setupSupport() {
+        const overrides = {};
+        if (process.env.SUPPORT_MESSAGES_ENABLED) {
+            overrides.enabled = process.env.SUPPORT_MESSAGES_ENABLED !== 'false';
         }
+        this.support = SupportTracker.fromFile(this.config.supportFile, overrides);
+    }
+
+    // Discord, Slack and webhook alerts; *_WEBHOOK_URL variables add sinks that get every event
+    setupNotifications() {
+        const overrides = {};
+        if (process.env.NOTIFICATIONS_ENABLED) {
+            overrides.enabled = process.env.NOTIFICATIONS_ENABLED !== 'false';
+        }
+        const envSinks = [
+            { id: 'discord', type: 'discord', url: process.env.DISCORD_WEBHOOK_URL, username: this.config.botName },
+            { id: 'slack', type: 'slack', url: process.env.SLACK_WEBHOOK_URL },
+            { id: 'webhook', type: 'webhook', url: process.env.NOTIFY_WEBHOOK_URL }
+        ].filter(sink => sink.url);
+        this.notifier = Notifier.fromFile(this.config.notificationsFile, overrides, envSinks);
+    }
+
+    setupModeration() {
+        const overrides = { ownerChannelId: this.config.ownerChannelId };
+        if (process.env.MODERATION_ENABLED) {
+            overrides.enabled = process.env.MODERATION_ENABLED !== 'false';
+        }
+        if (process.env.BANNED_WORDS) {
+            overrides.bannedWords = process.env.BANNED_WORDS.split(',').map(word => word.trim()).filter(Boolean);
+        }
+        this.moderator = Moderator.fromFile(this.config.moderationFile, overrides);
+    }
+
+    // Per-viewer and per-stream reply limits, spam mutes and the ignore list for other bots
+    setupReplyLimits() {
+        const overrides = {};
+        if (process.env.REPLY_LIMITS_ENABLED) {
+            overrides.enabled = process.env.REPLY_LIMITS_ENABLED !== 'false';
+        }
+        if (process.env.IGNORE_USERS) {
+            overrides.ignoreUsers = process.env.IGNORE_USERS.split(',').map(user => user.trim()).filter(Boolean);
+        }
+        this.limiter = ReplyLimiter.fromFile(this.config.replyLimitsFile, overrides);
+    }
+
+    setupAi() {
+        this.llm = null;
+        if (!this.config.ai.provider) return;
+
+        this.llm = new LlmResponder({
+            provider: createProvider(this.config.ai.provider, this.config.ai),
+            botName: this.config.botName,
+            systemPrompt: this.config.ai.systemPrompt,
+            timeoutMs: this.config.ai.timeoutMs
+        });
+
+        // The bot's own replies are part of the conversation too
+        this.on('reply', reply => {
+            if (reply.videoId) {
+                this.llm.addContext(reply.videoId, this.config.botName, reply.text, 'assistant');
+            }
+        });
+        log.info('AI replies enabled', {
+            provider: this.config.ai.provider,
+            ...(this.config.ai.provider === 'openai' ? { model: this.config.ai.model, baseUrl: this.config.ai.baseUrl } : {})
+        });
+    }
+
+    setupDiscovery() {
+        this.discovery = createDiscovery(this.config.discovery, this, {
+            callbackUrl: process.env.WEBSUB_CALLBACK_URL || (this.getPublicUrl() && `${this.getPublicUrl()}/websub`),
+            secret: process.env.WEBSUB_SECRET,
+            // A push means something changed on the channel - check right away
+            onNotify: () => this.runStreamCheck()
+        });
+        this.streamCheckIntervalMs = this.config.streamCheckMinutes * 60 * 1000 || this.discovery.defaultIntervalMs;
+    }
+
+    // Swap the YouTube client for the offline fake when SIMULATION_SCRIPT is set
+    setupSimulation() {
+        this.simulator = null;
+        const { script, speed, checkIntervalMs } = this.config.simulation;
+        if (!script) return;
+
+        this.simulator = new FakeYouTube(script, { speed, botName: this.config.botName });
+        this.youtube = this.simulator;
+        if (this.config.channelIds.length === 0) {
+            this.config.channelIds = [this.simulator.script.channelId];
+        }
+        // Simulated streams can happen at any hour, and shouldn't take minutes to notice
+        this.config.streamingHours = { start: 0, end: 23 };
+        this.streamCheckIntervalMs = checkIntervalMs;
+        log.info('Simulation mode, no real YouTube calls', { script, speed });
+    }
+
+    // Public URL of this service on Railway/Render (or PUBLIC_URL when set)
+    getPublicUrl() {
+        const url = process.env.PUBLIC_URL || process.env.RAILWAY_PUBLIC_DOMAIN || process.env.RENDER_EXTERNAL_URL;
+        if (!url) return null;
+        return (/^https?:\/\//.test(url) ? url : `https://${url}`).replace(/\/$/, '');
     }
 
     setupWebServer() {
         const PORT = process.env.PORT || 3000;
+
+        this.router = new Router({
+            authToken: this.config.controlApiToken,
+            corsOrigin: this.config.corsOrigin
+        });
+        registerRoutes(this.router, this);
+
+        if (!this.config.controlApiToken) {
+            log.warn('CONTROL_API_TOKEN not set - control endpoints are disabled');
+        }
+
+        // Live feed for the dashboard
+        this.events = new EventStream();
+        this.on('chat', message => this.events.broadcast('chat', message));
+        this.on('reply', reply => this.events.broadcast('reply', reply));
+        this.on('apiError', entry => this.events.broadcast('apiError', entry));
+        this.statusTimer = setInterval(() => {
+            if (this.events.clients.size > 0) {
+                this.events.broadcast('status', this.getStatus());
+            }
+        }, 10000);
+        this.statusTimer.unref();
         
-        const server = http.createServer((req, res) => {
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
+        // Created here, but only listens once listen() is called
+        this.server = http.createServer((req, res) => {
+            // The router answers its own errors; this only catches a bug in it
+            this.router.handle(req, res).catch(error => {
+                log.error('Request handling failed', { method: req.method, path: req.url, error });
+                if (!res.headersSent) res.writeHead(500);
+                res.end();
             });
-            res.end(JSON.stringify({
-                status: 'running',
-                botName: this.config.botName,
-                isMonitoring: this.isRunning,
-                currentStream: this.videoId || 'none',
-                quotaUsed: this.dailyQuotaUsed,
-                quotaLimit: 10000,
-                quotaResetTime: this.quotaResetTime.toISOString(),
-                streamingHours: this.config.streamingHours,
-                isStreamingTime: this.isStreamingTime(),
-                uptime: process.uptime(),
-                timestamp: new Date().toISOString()
-            }, null, 2));
         });
+    }
 
-        server.listen(PORT, () => {
-            console.log(`🌐 Bot status server running on port ${PORT}`);
+    // Start the status server, resolves to the port it listens on
+    listen(port = process.env.PORT || 3000) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                const actualPort = this.server.address().port;
+                log.info('Status server listening', { port: actualPort });
+                resolve(actualPort);
+            });
         });
+    }
 
-        // Keep service alive (for Railway/Render)
-        this.setupKeepAlive();
+    // Graceful exit on SIGINT/SIGTERM: stop polling, send the replies still queued, save
+    // where each chat was, then release everything
+    async shutdown(timeoutMs = this.config.shutdownTimeoutMs) {
+        if (this.shuttingDown) return;
+        this.shuttingDown = true;
+        log.info('Bot shutting down', { streams: this.streams.size, queued: this.outbound.items.length });
+
+        this.monitoring = false;
+        clearTimeout(this.streamCheckTimer);
+        for (const session of this.streams.values()) {
+            session.stop();
+        }
+
+        // A poll already under way still moves the page token on and may queue replies
+        const deadline = Date.now() + timeoutMs;
+        while ([...this.streams.values()].some(session => session.polling) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        const flushed = await this.outbound.flush(Math.max(0, deadline - Date.now()));
+
+        this.saveCheckpoint();
+        await this.close();
+        log.info('Shutdown complete', { flushed });
+    }
+
+    // Remember where each chat was so a restart picks up from there
+    saveCheckpoint() {
+        this.checkpoint.save({
+            streams: [...this.streams.values()]
+                .filter(session => session.liveChatId)
+                .map(session => session.checkpoint()),
+            commandCooldowns: this.commands.cooldownState(),
+            replyLimits: this.limiter.state()
+        });
+    }
+
+    // Rejoin the chats from the checkpoint after a restart, once a videos.list call (1 unit)
+    // confirms they are still active. Resolves to the number of streams resumed.
+    async resumeFromCheckpoint() {
+        const saved = this.checkpoint.load();
+        if (!saved) return 0;
+        this.commands.restoreCooldowns(saved.commandCooldowns);
+        this.limiter.restore(saved.replyLimits);
+        if (saved.streams.length === 0) return 0;
+
+        let broadcasts;
+        try {
+            broadcasts = await fetchLiveVideos(this, saved.streams.map(stream => stream.videoId));
+        } catch (error) {
+            await this.handleApiError('videos.list', 'resuming from checkpoint', error);
+            return 0;
+        }
+        if (!broadcasts) {
+            log.warn('Not resuming from checkpoint - quota limit reached');
+            return 0;
+        }
+
+        let resumed = 0;
+        for (const broadcast of broadcasts) {
+            const previous = saved.streams.find(stream => stream.videoId === broadcast.videoId);
+            if (!broadcast.liveChatId || this.streams.has(broadcast.videoId)) continue;
+
+            const session = new StreamSession(broadcast, this.config.budget);
+            if (previous.liveChatId === broadcast.liveChatId && previous.nextPageToken) {
+                session.nextPageToken = previous.nextPageToken;
+            } else {
+                // New chat ID or no token - start from now rather than answering the backlog
+                session.skipBacklog = true;
+            }
+            this.streams.set(session.videoId, session);
+            log.info('Resuming stream from checkpoint', { ...streamFields(session), title: session.title, savedAt: saved.savedAt });
+            await this.connectStream(session);
+            resumed += 1;
+        }
+
+        // Limits saved for streams that ended while the bot was down
+        for (const stream of saved.streams) {
+            if (!this.streams.has(stream.videoId)) this.limiter.forget(stream.videoId);
+        }
+        const dropped = saved.streams.length - resumed;
+        if (dropped > 0) {
+            log.info('Streams in the checkpoint are no longer live', { count: dropped });
+        }
+        return resumed;
+    }
+
+    // Stop monitoring and release everything that keeps the process alive
+    async close() {
+        this.stop();
+        this.personality.unwatch();
+        clearInterval(this.statusTimer);
+        clearInterval(this.keepAliveTimer);
+        this.notifier.stop();
+        this.events.close();
+        if (this.server.listening) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
+    }
+
+    // Everything the status endpoint reports
+    getStatus() {
+        return {
+            status: 'running',
+            botName: this.config.botName,
+            isMonitoring: this.getActiveStreams().length > 0,
+            currentStream: this.getActiveStreams().map(session => session.videoId).join(',') || 'none',
+            streams: [...this.streams.values()].map(session => ({
+                ...session.toJSON(),
+                support: this.support.tally(session.videoId)
+            })),
+            quotaUsed: this.dailyQuotaUsed,
+            quotaLimit: this.quota.limit,
+            quotaResetTime: this.quotaResetTime.toISOString(),
+            quota: this.quota.toJSON(),
+            // Public, so just whether the bot can post; the details are behind /auth/status
+            authorized: this.hasWriteAccess(),
+            outbound: this.outbound.stats(),
+            replyLimits: this.limiter.stats(),
+            breakers: Object.fromEntries(Object.entries(this.breakers).map(([name, breaker]) => [name, breaker.toJSON()])),
+            notifications: this.notifier.stats(),
+            discovery: {
+                strategy: this.discovery.name,
+                monitoring: this.monitoring,
+                channels: this.config.channelIds,
+                nextCheck: this.nextStreamCheck ? this.nextStreamCheck.toISOString() : null
+            },
+            streamingHours: this.config.streamingHours,
+            isStreamingTime: this.isStreamingTime(),
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Keep a short history of chat and replies for the dashboard
+    rememberChat(entry) {
+        this.recentChat.push(entry);
+        if (this.recentChat.length > 100) this.recentChat.shift();
+    }
+
+    // Log an API error and surface it on the dashboard
+    recordError(context, error) {
+        const details = errorFields(error);
+        log.error(`Error ${context}`, { context, error, details: error.response ? error.response.data : undefined });
+        this.metrics.apiErrors.inc({ context, reason: details.reason || (details.status ? String(details.status) : 'network') });
+
+        const entry = { context, message: error.message, time: new Date().toISOString() };
+        this.recentErrors.push(entry);
+        if (this.recentErrors.length > 50) this.recentErrors.shift();
+        this.emit('apiError', entry);
+    }
+
+    // Shared reaction to a failed YouTube call: record it, count it against the call's
+    // circuit breaker and deal with what it means for the whole bot. Callers decide what
+    // happens to their own work from the returned { kind, reason, status, retryable }.
+    async handleApiError(operation, context, error) {
+        const failure = classifyApiError(error);
+        this.recordError(context, error);
+
+        if (failure.kind === 'quotaExceeded') {
+            // Our ledger undercounted - stop spending until the reset
+            this.quota.exhaust();
+        } else if (failure.kind === 'auth') {
+            // One refresh per burst of 401s; worth retrying the call only if it worked
+            if (Date.now() - this.lastOAuthRefresh > 60 * 1000) {
+                this.lastOAuthRefresh = Date.now();
+                failure.retryable = await this.oauth.refresh();
+                if (failure.retryable) log.info('OAuth access token refreshed after a 401', { operation });
+            }
+        }
+
+        // A chat ending is an answer rather than a fault, and the ledger already blocks
+        // calls once quota is gone
+        if (failure.kind !== 'chatEnded' && failure.kind !== 'quotaExceeded') {
+            const breaker = this.breakers[operation];
+            if (breaker.failure(failure)) {
+                log.error('Circuit breaker open, pausing these API calls', {
+                    operation,
+                    kind: failure.kind,
+                    reason: failure.reason,
+                    retryAt: new Date(breaker.retryAt).toISOString()
+                });
+            }
+        }
+        return failure;
+    }
+
+    // Change reply pacing for new and already monitored streams
+    setReplyRateLimit(changes) {
+        Object.assign(this.config.budget, changes);
+        for (const session of this.streams.values()) {
+            Object.assign(session.budget, changes);
+            this.planBudget(session);
+        }
+        log.info('Reply rate limit updated', { changes });
+    }
+
+    // Re-read personality and moderation config without restarting
+    reloadConfig() {
+        const result = {
+            personality: this.personality.reload(),
+            moderation: true,
+            replyLimits: true,
+            announcements: true,
+            support: true,
+            notifications: true
+        };
+        try {
+            this.setupModeration();
+        } catch (error) {
+            log.error('Moderation reload failed, keeping previous config', { error });
+            result.moderation = false;
+        }
+        try {
+            // Keep buckets and mutes across the reload
+            const { users, buckets } = this.limiter;
+            this.setupReplyLimits();
+            Object.assign(this.limiter, { users, buckets });
+        } catch (error) {
+            log.error('Reply limits reload failed, keeping previous config', { error });
+            result.replyLimits = false;
+        }
+        try {
+            this.setupAnnouncements();
+        } catch (error) {
+            log.error('Announcements reload failed, keeping previous config', { error });
+            result.announcements = false;
+        }
+        try {
+            const previous = this.notifier;
+            this.setupNotifications();
+            previous.stop();
+        } catch (error) {
+            log.error('Notifications reload failed, keeping previous config', { error });
+            result.notifications = false;
+        }
+        try {
+            // Keep this stream's tallies, and what the roll-up already covered, across the reload
+            const { tallies, rolledUp } = this.support;
+            this.setupSupport();
+            Object.assign(this.support, { tallies, rolledUp });
+        } catch (error) {
+            log.error('Support config reload failed, keeping previous config', { error });
+            result.support = false;
+        }
+        log.info('Config reloaded', result);
+        return result;
     }
 
     setupKeepAlive() {
-        setInterval(() => {
+        this.keepAliveTimer = setInterval(() => {
             // Ping self to prevent sleeping on free hosting
-            const domain = process.env.RAILWAY_PUBLIC_DOMAIN || process.env.RENDER_EXTERNAL_URL;
-            if (domain) {
-                axios.get(`https://${domain}`)
-                    .then(() => console.log('🏓 Keep-alive ping'))
+            const url = this.getPublicUrl();
+            if (url) {
+                axios.get(url)
+                    .then(() => log.debug('Keep-alive ping'))
                     .catch(() => {}); // Ignore errors
             }
         }, 25 * 60 * 1000); // Every 25 minutes
     }
 
     setupOAuth() {
-        this.oauth2Client = new google.auth.OAuth2(
-            this.config.clientId,
-            this.config.clientSecret,
-            this.config.redirectUri
-        );
+        const baseUrl = this.getPublicUrl() || `http://localhost:${process.env.PORT || 3000}`;
+        this.oauth = new OAuthManager({
+            clientId: this.config.clientId,
+            clientSecret: this.config.clientSecret,
+            redirectUri: this.config.redirectUri || `${baseUrl}/oauth2callback`,
+            store: new TokenStore(this.config.tokenFile)
+        });
+        this.oauth2Client = this.oauth.client;
         
-        // Load OAuth tokens from environment
-        if (process.env.OAUTH_TOKENS) {
-            try {
-                const tokens = JSON.parse(process.env.OAUTH_TOKENS);
-                this.oauth2Client.setCredentials(tokens);
-                console.log('✅ OAuth tokens loaded from environment');
-            } catch (error) {
-                console.error('❌ Failed to parse OAuth tokens:', error.message);
-            }
+        // Saved tokens first, OAUTH_TOKENS as a one-off seed
+        if (this.oauth.loadTokens(process.env.OAUTH_TOKENS)) {
+            this.oauth.verify().then(check => {
+                if (check.writeAccess) {
+                    log.info('OAuth write access confirmed');
+                } else {
+                    log.warn('OAuth tokens can\'t write to chat', { reason: check.error });
+                }
+            });
         } else {
-            console.warn('⚠️ No OAuth tokens found. Bot will only read chat, not send messages.');
+            log.warn('No OAuth tokens found. Bot will only read chat, not send messages', { authorizeAt: `${baseUrl}/auth` });
         }
         
         // Don't set global auth - we'll specify auth per request
         // google.options({ auth: this.oauth2Client });
     }
 
-    // Check if currently streaming (QUOTA: 100 units)
+    // Whether the OAuth client has anything to authenticate with
+    hasWriteAccess() {
+        // The fake API accepts messages without tokens
+        if (this.simulator) return true;
+        return this.oauth.hasCredentials();
+    }
+
+    // Check if currently streaming (QUOTA: depends on the discovery strategy)
+    // Adds newly found broadcasts and tears down the ones that ended
     async checkIfStreaming() {
         // Don't check if quota is low or outside streaming hours
-        if (!this.canMakeApiCall(100)) {
-            console.log('⚠️ Skipping stream check - quota limit reached');
+        if (!this.canMakeApiCall(this.discovery.cost)) {
+            log.warn('Skipping stream check - quota limit reached');
+            return false;
+        }
+        if (!this.breakers.discovery.canRequest()) {
+            log.warn('Skipping stream check - circuit breaker open', { retryInMs: this.breakers.discovery.retryIn() });
             return false;
         }
         
-        if (!this.isStreamingTime()) {
-            console.log('😴 Outside streaming hours, skipping check');
+        // A scheduled stream or a push notification is worth checking at any hour
+        const hasUpcoming = [...this.streams.values()].some(session => session.status === 'upcoming');
+        if (!this.isStreamingTime() && !hasUpcoming && this.discovery.name !== 'websub') {
+            log.debug('Outside streaming hours, skipping check');
             return false;
         }
 
-        try {
-            // Use direct YouTube API call without OAuth for search
-            const response = await this.youtube.search.list({
-                part: ['snippet'],
-                channelId: this.config.channelId,
-                eventType: 'live',
-                type: 'video',
-                key: this.config.apiKey,
-                maxResults: 1,
-                auth: null // Explicitly use API key, not OAuth
-            });
+        const channels = this.discovery.perChannel ? this.config.channelIds : [null];
+        const found = [];
+        const skippedChannels = new Set();
 
-            this.trackQuotaUsage(100); // Track quota usage
+        for (const channelId of channels) {
+            // The breaker may have opened on an earlier channel
+            if (!this.breakers.discovery.canRequest()) {
+                skippedChannels.add(channelId);
+                continue;
+            }
+            try {
+                const broadcasts = await this.discovery.check(channelId);
+                if (broadcasts === undefined) {
+                    log.warn('Skipping stream check - quota limit reached', { channelId });
+                    skippedChannels.add(channelId);
+                    continue;
+                }
+                found.push(...broadcasts);
+                this.breakers.discovery.success();
+            } catch (error) {
+                await this.handleApiError('discovery', 'checking stream status', error);
+                // Unknown state - keep whatever we are already monitoring
+                skippedChannels.add(channelId);
+            }
+        }
 
-            if (response.data.items && response.data.items.length > 0) {
-                const newVideoId = response.data.items[0].id.videoId;
-                
-                if (newVideoId !== this.videoId) {
-                    this.videoId = newVideoId;
-                    const title = response.data.items[0].snippet.title;
-                    console.log(`🎥 New live stream detected!`);
-                    console.log(`📺 Video ID: ${this.videoId}`);
-                    console.log(`🎬 Title: ${title}`);
-                    return true;
+        const seen = new Set();
+        for (const broadcast of found) {
+            seen.add(broadcast.videoId);
+            const session = this.streams.get(broadcast.videoId);
+
+            if (session) {
+                if (session.update(broadcast)) {
+                    log.info('Upcoming stream is now live', { ...streamFields(session), title: session.title });
+                    this.notifyStream('stream.live', session);
                 }
-                return this.videoId !== null;
+                continue;
+            }
+
+            if (this.streams.size >= this.config.maxStreams) {
+                log.warn('Too many streams, ignoring one', { videoId: broadcast.videoId, monitoring: this.streams.size });
+                continue;
+            }
+
+            const added = new StreamSession(broadcast, this.config.budget);
+            this.streams.set(broadcast.videoId, added);
+            const fields = { videoId: broadcast.videoId, channelId: broadcast.channelId, title: broadcast.title };
+            if (broadcast.status === 'live') {
+                log.info('New live stream detected', fields);
+                this.notifyStream('stream.live', added);
             } else {
-                if (this.videoId) {
-                    console.log('📺 Stream ended');
-                    this.cleanup();
-                }
-                return false;
+                log.info('Upcoming stream scheduled', { ...fields, scheduledStartTime: broadcast.scheduledStartTime });
             }
-        } catch (error) {
-            console.error('Error checking stream status:', error.message);
-            if (error.response) {
-                console.error('API Error Details:', error.response.data);
+        }
+
+        // Anything no longer reported has ended (unless its channel couldn't be checked)
+        for (const session of [...this.streams.values()]) {
+            const unchecked = skippedChannels.has(session.channelId) || skippedChannels.has(null);
+            if (!seen.has(session.videoId) && !unchecked) {
+                log.info('Stream ended', { ...streamFields(session), title: session.title });
+                this.cleanup(session);
             }
-            return false;
         }
+
+        return this.streams.size > 0;
     }
 
     // Get live chat ID from video (QUOTA: 1 unit)
-    async getLiveChatId() {
+    // Upcoming broadcasts get one as soon as their waiting-room chat opens
+    async getLiveChatId(session) {
+        if (session.liveChatId) return true;
+
         if (!this.canMakeApiCall(1)) {
-            console.log('⚠️ Cannot get live chat ID - quota limit reached');
+            log.warn('Cannot get live chat ID - quota limit reached', streamFields(session));
+            return false;
+        }
+        if (!this.breakers['videos.list'].canRequest()) {
+            log.warn('Cannot get live chat ID - circuit breaker open', streamFields(session));
             return false;
         }
 
         try {
             const response = await this.youtube.videos.list({
                 part: ['liveStreamingDetails'],
-                id: [this.videoId],
+                id: [session.videoId],
                 key: this.config.apiKey,
                 auth: null // Use API key for this call
             });
 
-            this.trackQuotaUsage(1);
+            this.trackQuotaUsage(1, 'videos.list', session.videoId);
+            this.breakers['videos.list'].success();
 
             if (response.data.items && response.data.items.length > 0) {
                 const liveChatId = response.data.items[0].liveStreamingDetails?.activeLiveChatId;
                 if (liveChatId) {
-                    this.liveChatId = liveChatId;
-                    console.log('✅ Live chat connected!');
+                    session.liveChatId = liveChatId;
+                    log.info('Live chat found', streamFields(session));
                     return true;
                 } else {
-                    console.log('⚠️ Live chat not available for this stream');
+                    log.info('Live chat not available yet', streamFields(session));
                     return false;
                 }
             }
             return false;
         } catch (error) {
-            console.error('Error getting live chat ID:', error.message);
-            if (error.response) {
-                console.error('API Error Details:', error.response.data);
-            }
+            await this.handleApiError('videos.list', 'getting live chat ID', error);
             return false;
         }
     }
 
-    // Clean up when stream ends
-    cleanup() {
-        this.videoId = null;
-        this.liveChatId = null;
-        this.nextPageToken = null;
-        this.isRunning = false;
+    // Start polling a stream's chat if it isn't already
+    async connectStream(session) {
+        if (session.isRunning) return;
+
+        log.info('Connecting to live chat', streamFields(session));
+        const chatReady = await this.getLiveChatId(session);
+        if (chatReady) {
+            session.isRunning = true;
+            session.connectedAt = new Date();
+            this.recorder.start(session);
+            this.pollMessages(session);
+            log.info('Bot is now active in chat', { ...streamFields(session), waitingRoom: session.status === 'upcoming' });
+        }
+    }
+
+    // Clean up when a stream ends (other streams keep going)
+    cleanup(session) {
+        session.stop();
+        if (session.liveChatId) {
+            this.outbound.clear(session.liveChatId);
+        }
+        this.support.clear(session.videoId);
+        this.polls.close(session.videoId);
+        this.giveaways.end(session.videoId);
+        this.announcer.forget(session.videoId);
+
+        const report = this.recorder.finish(session.videoId);
+        if (report) {
+            log.info('Session report', {
+                ...streamFields(session),
+                messages: report.messages,
+                uniqueChatters: report.uniqueChatters,
+                replies: report.replies,
+                quotaUnits: report.quota.total
+            });
+        }
+        // An upcoming stream that never started didn't end
+        if (session.status === 'live') {
+            this.notifyStream('stream.ended', session, report ? {
+                messages: report.messages,
+                uniqueChatters: report.uniqueChatters,
+                durationMinutes: report.durationMinutes
+            } : {});
+        }
+        if (this.llm) {
+            this.llm.clearContext(session.videoId);
+        }
+        this.streams.delete(session.videoId);
+        this.saveCheckpoint();
+        this.moderator.prune();
+        this.limiter.forget(session.videoId);
     }
 
     // Start continuous monitoring
     async startContinuousMonitoring() {
-        console.log('🤖 YouTube Chat Bot - Quota Optimized Edition');
-        console.log('=============================================');
-        console.log(`🔧 Bot Name: ${this.config.botName}`);
-        console.log(`📺 Channel ID: ${this.config.channelId}`);
-        console.log(`⏰ Streaming Hours: ${this.config.streamingHours.start}:00 - ${this.config.streamingHours.end}:00`);
-        console.log(`📊 Daily Quota Limit: 10,000 units`);
-        console.log('🔍 Monitoring for live streams...\n');
+        log.info('Monitoring for live streams', {
+            botName: this.config.botName,
+            channelIds: this.config.channelIds,
+            streamingHours: this.config.streamingHours,
+            quotaLimit: this.quota.limit,
+            quotaReserve: this.quota.safetyBuffer,
+            discovery: this.discovery.name,
+            discoveryCost: this.discovery.cost
+        });
         
-        // Check for streams every 30 minutes
-        this.streamCheckInterval = setInterval(async () => {
+        this.monitoring = true;
+        this.personality.watch();
+        clearInterval(this.announcementTimer);
+        this.announcementTimer = setInterval(() => this.runAnnouncements(), 30 * 1000);
+        this.announcementTimer.unref();
+        if (this.discovery.start) {
+            await this.discovery.start();
+        }
+        await this.resolveBotChannel();
+
+        // Chats we were already in rejoin right away; the regular check then follows on schedule
+        if (await this.resumeFromCheckpoint() > 0) {
+            this.scheduleStreamCheck();
+            return;
+        }
+
+        // Initial check, which then keeps scheduling the next one
+        await this.runStreamCheck();
+    }
+
+    // Look up the channel the OAuth tokens post as, so the bot knows its own messages (QUOTA: 1 unit)
+    // Skipped when BOT_CHANNEL_ID is set or there are no tokens yet; resolves to whether it's known
+    async resolveBotChannel() {
+        if (this.botChannelId) return true;
+        if (!this.hasWriteAccess()) {
+            log.warn('Bot channel unknown until OAuth is set up or BOT_CHANNEL_ID is set');
+            return false;
+        }
+        if (!this.canMakeApiCall(1)) {
+            log.warn('Cannot look up the bot channel - quota limit reached');
+            return false;
+        }
+
+        try {
+            const response = await this.youtube.channels.list({
+                part: ['id'],
+                mine: true,
+                auth: this.oauth2Client
+            });
+            this.trackQuotaUsage(1, 'channels.list');
+            const channel = (response.data.items || [])[0];
+            if (!channel) {
+                log.warn('The OAuth account has no YouTube channel');
+                return false;
+            }
+            this.botChannelId = channel.id;
+            log.info('Bot channel resolved', { botChannelId: this.botChannelId });
+            return true;
+        } catch (error) {
+            this.recordError('looking up the bot channel', error);
+            return false;
+        }
+    }
+
+    // Check for a stream, connect if one is live, then schedule the next check
+    async runStreamCheck() {
+        if (this.checkingStream || !this.monitoring) return;
+        this.checkingStream = true;
+
+        try {
             const isStreaming = await this.checkIfStreaming();
             
-            if (isStreaming && !this.isRunning) {
-                console.log('🚀 Connecting to live chat...');
-                const chatReady = await this.getLiveChatId();
-                if (chatReady) {
-                    this.isRunning = true;
-                    this.pollMessages();
-                    console.log('🎮 Bot is now active in chat!\n');
+            if (isStreaming) {
+                for (const session of this.streams.values()) {
+                    await this.connectStream(session);
                 }
             }
-        }, 30 * 60 * 1000); // Check every 30 minutes
-
-        // Initial check
-        const isStreaming = await this.checkIfStreaming();
-        if (isStreaming) {
-            const chatReady = await this.getLiveChatId();
-            if (chatReady) {
-                this.isRunning = true;
-                this.pollMessages();
-                console.log('🎮 Bot is now active in chat!\n');
-            }
+        } finally {
+            this.checkingStream = false;
+            this.scheduleStreamCheck();
         }
     }
 
+    // Check often when a scheduled stream is close, rarely when nothing is expected
+    scheduleStreamCheck() {
+        clearTimeout(this.streamCheckTimer);
+        if (!this.monitoring) return;
+
+        // Upcoming streams still waiting for their chat to open
+        const nextStart = [...this.streams.values()]
+            .filter(session => session.status === 'upcoming' && !session.isRunning && session.scheduledStartTime)
+            .map(session => session.scheduledStartTime)
+            .sort()[0];
+
+        const delay = nextCheckDelay({
+            baseIntervalMs: this.streamCheckIntervalMs,
+            scheduledStartTime: nextStart,
+            isStreamingTime: this.isStreamingTime(),
+            isLive: this.getActiveStreams().length > 0
+        });
+        this.setStreamCheckTimer(delay);
+    }
+
+    // Check again soon, e.g. after a chat disappeared mid-stream
+    requestStreamCheck() {
+        if (!this.monitoring) return;
+        this.setStreamCheckTimer(0);
+    }
+
+    // Never sooner than the discovery circuit breaker allows
+    setStreamCheckTimer(delayMs) {
+        clearTimeout(this.streamCheckTimer);
+        const delay = Math.max(delayMs, this.breakers.discovery.retryIn());
+        this.nextStreamCheck = new Date(Date.now() + delay);
+        this.streamCheckTimer = setTimeout(() => this.runStreamCheck(), delay);
+    }
+
     // Poll for new chat messages (QUOTA: 5 units per call)
-    async pollMessages() {
-        if (!this.isRunning || !this.liveChatId) return;
+    async pollMessages(session) {
+        if (!session.isRunning || !session.liveChatId) return;
 
         // Check quota before polling
-        if (!this.canMakeApiCall(5)) {
-            console.log('⚠️ Quota exhausted - stopping chat monitoring');
-            this.isRunning = false;
+        if (!this.canMakeApiCall(5) || this.planBudget(session).stage === 'stopped') {
+            log.warn('Quota exhausted - stopping chat monitoring', streamFields(session));
+            session.stop();
+            return;
+        }
+        const breaker = this.breakers['liveChatMessages.list'];
+        if (!breaker.canRequest()) {
+            session.pollTimer = setTimeout(() => this.pollMessages(session), breaker.retryIn());
             return;
         }
 
+        const startedAt = Date.now();
+        session.polling = true;
         try {
             const response = await this.youtube.liveChatMessages.list({
-                liveChatId: this.liveChatId,
+                liveChatId: session.liveChatId,
                 part: ['snippet', 'authorDetails'],
-                pageToken: this.nextPageToken,
+                pageToken: session.nextPageToken,
                 auth: this.oauth2Client // Use OAuth for chat operations
             });
+            this.metrics.pollDuration.observe({}, (Date.now() - startedAt) / 1000);
+
+            this.trackQuotaUsage(5, 'liveChatMessages.list', session.videoId);
 
-            this.trackQuotaUsage(5);
+            const now = Date.now();
+            if (session.lastPollTime) {
+                session.budget.recordActivity((response.data.items || []).length, now - session.lastPollTime);
+            }
+            session.lastPollTime = now;
 
-            if (response.data.items) {
+            if (session.skipBacklog) {
+                log.info('Skipping chat backlog', { ...streamFields(session), count: (response.data.items || []).length });
+                session.skipBacklog = false;
+            } else if (response.data.items) {
                 for (const message of response.data.items) {
-                    await this.processMessage(message);
+                    await this.processMessage(message, session);
                 }
             }
 
-            this.nextPageToken = response.data.nextPageToken;
+            if (this.rollupDue(session, now)) {
+                this.postSupportRollup(session);
+            }
+
+            session.nextPageToken = response.data.nextPageToken;
+            session.pollFailures = 0;
+            breaker.success();
+            this.saveCheckpoint();
+            if (!session.isRunning) return;
             
-            // Longer wait between polls to save quota
-            const pollInterval = Math.max(response.data.pollingIntervalMillis || 10000, 8000);
-            setTimeout(() => this.pollMessages(), pollInterval);
+            // Poll as often as the budget allows (never faster than YouTube asks)
+            const plan = this.planBudget(session, response.data.pollingIntervalMillis || 10000);
+            session.pollTimer = setTimeout(() => this.pollMessages(session), plan.pollIntervalMs || this.config.budget.maxPollIntervalMs);
             
         } catch (error) {
-            console.error('Error polling messages:', error.message);
-            
-            // If stream ended or chat disabled
-            if (error.message.includes('disabled') || error.message.includes('not found')) {
-                console.log('📺 Stream ended or chat disabled');
-                this.cleanup();
+            const failure = await this.handleApiError('liveChatMessages.list', 'polling messages', error);
+
+            // Tell the team once per run of failures, not on every retry
+            session.pollFailures += 1;
+            if (session.pollFailures === this.notifier.settings.errorThreshold) {
+                this.notifyStream('errors.repeated', session, {
+                    context: 'polling chat',
+                    count: session.pollFailures,
+                    message: error.message
+                });
+            }
+            if (!session.isRunning) return;
+
+            if (failure.kind === 'chatEnded' || failure.kind === 'chatUnavailable') {
+                if (session.status === 'upcoming') {
+                    // Waiting-room chat isn't open yet, the next stream check tries again
+                    log.info('Chat for upcoming stream is not open yet', streamFields(session));
+                    session.stop();
+                    session.liveChatId = null;
+                    return;
+                }
+                if (failure.kind === 'chatEnded') {
+                    log.info('Stream ended', streamFields(session));
+                    this.cleanup(session);
+                    return;
+                }
+                // Disabled or gone, but the broadcast may still be live - let discovery decide
+                // whether to fetch a new chat ID or end the session
+                log.info('Chat unavailable, checking the stream again', { ...streamFields(session), reason: failure.reason });
+                session.stop();
+                session.liveChatId = null;
+                session.nextPageToken = null;
+                this.requestStreamCheck();
                 return;
             }
-            
-            // Wait and try again
-            setTimeout(() => this.pollMessages(), 15000);
+
+            // A page token YouTube no longer accepts (e.g. from an old checkpoint)
+            if (failure.status === 400 && session.nextPageToken) {
+                log.warn('Page token rejected, continuing from the latest messages', streamFields(session));
+                session.nextPageToken = null;
+                session.skipBacklog = true;
+            }
+
+            // Back off, and never sooner than the breaker allows (an exhausted quota stops
+            // the session on the next attempt)
+            const { backoffBaseMs, backoffMaxMs } = this.config.apiErrors;
+            const delay = Math.max(backoffDelay(session.pollFailures, backoffBaseMs, backoffMaxMs), breaker.retryIn());
+            log.warn('Retrying chat poll', { ...streamFields(session), kind: failure.kind, attempt: session.pollFailures, delayMs: delay });
+            session.pollTimer = setTimeout(() => this.pollMessages(session), delay);
+        } finally {
+            session.polling = false;
         }
     }
 
     // Process incoming chat message
-    async processMessage(message) {
+    async processMessage(message, session) {
         const author = message.authorDetails.displayName;
         const text = message.snippet.displayMessage;
-        const textLower = text.toLowerCase();
+        const liveChatId = session.liveChatId;
+        const type = message.snippet.type || 'textMessageEvent';
+        this.metrics.messagesReceived.inc({ type });
+
+        // Deletions, bans, polls and other system events aren't chat
+        if (type !== 'textMessageEvent' && !this.support.isSupportEvent(type)) {
+            log.debug('Skipping chat event', { ...streamFields(session), type, author });
+            return;
+        }
         
-        console.log(`💬 ${author}: ${text}`);
+        log.info('Chat message', {
+            ...streamFields(session),
+            author,
+            authorChannelId: message.authorDetails.channelId,
+            type,
+            text
+        });
 
-        // Don't respond to own messages
-        if (author === this.config.botName) return;
+        const chatEntry = {
+            kind: 'chat',
+            id: message.id,
+            type,
+            videoId: session.videoId,
+            author,
+            authorChannelId: message.authorDetails.channelId,
+            text,
+            time: message.snippet.publishedAt || new Date().toISOString()
+        };
+        this.rememberChat(chatEntry);
+        this.emit('chat', chatEntry);
 
-        // More conservative rate limiting to save quota
-        const now = Date.now();
-        if (now - this.lastResponseTime < 15000) return; // Wait 15 seconds between responses
+        // Every message goes in the session log, including the bot's own and other bots'
+        const own = this.isOwnMessage(message.authorDetails);
+        const locale = type === 'textMessageEvent' ? this.detectLocale(text, session.channelId) : null;
+        this.recorder.record(session.videoId, 'chat', {
+            type,
+            author,
+            authorChannelId: message.authorDetails.channelId,
+            text,
+            locale,
+            ...(own ? { own: true } : {})
+        });
 
-        // Generate response
-        const response = this.generateResponse(textLower, author);
-        
-        if (response) {
-            this.lastResponseTime = now;
-            // Random delay to seem more human (2-8 seconds)
-            const delay = Math.random() * 6000 + 2000;
-            setTimeout(() => this.sendMessage(response), delay);
+        // Don't respond to own messages, or to other chat bots
+        if (own) return;
+        if (this.limiter.isIgnored(message.authorDetails)) {
+            log.debug('Ignoring listed bot', { ...streamFields(session), author });
+            return;
         }
-    }
 
-    // Generate appropriate response (more selective)
-    generateResponse(text, author) {
-        // Admin commands for bot owner
-        if (author === this.config.ownerUsername) {
-            if (text === '!status') {
-                return `🤖 Bot Status: Active | Quota: ${this.dailyQuotaUsed}/10000 | Stream: ${this.videoId || 'none'}`;
-            }
-            if (text === '!quota') {
-                return `📊 Quota Used: ${this.dailyQuotaUsed}/10000 units | Resets: ${this.quotaResetTime.toLocaleTimeString()}`;
+        // Paid messages and memberships get a thank-you, never keyword replies
+        if (type !== 'textMessageEvent') {
+            this.handleSupportEvent(message, session);
+            return;
+        }
+
+        // Moderation runs first - a removed message never gets a reply
+        if (await this.moderateMessage(message, session)) return;
+
+        // Only messages that passed moderation make it into the AI prompt
+        if (this.llm) {
+            this.llm.addContext(session.videoId, author, text);
+        }
+
+        if (this.mentionsOwner(message)) {
+            this.notifyStream('chat.ownerMention', session, {
+                author,
+                authorChannelId: message.authorDetails.channelId,
+                owner: this.config.ownerUsername,
+                text
+            }, { key: message.authorDetails.channelId });
+        }
+
+        const firstTime = this.recordLoyalty(message, session);
+        this.announcer.recordChat(session.videoId);
+
+        // Giveaway entries are counted quietly
+        if (this.giveaways.isEntry(session.videoId, text)) {
+            const viewer = this.loyalty && this.loyalty.get(message.authorDetails.channelId);
+            if (this.giveaways.enter(session.videoId, {
+                channelId: message.authorDetails.channelId,
+                displayName: author,
+                isMember: Boolean(message.authorDetails.isChatSponsor),
+                points: viewer ? viewer.points : 0
+            })) {
+                log.info('Giveaway entry', { ...streamFields(session), author, authorChannelId: message.authorDetails.channelId });
             }
-            if (text === '!ping') {
-                return '🏓 Pong!';
+            return;
+        }
+
+        const role = getRole(message.authorDetails, this.config.ownerChannelId);
+        const limits = { userId: message.authorDetails.channelId || author, role, streamKey: session.videoId };
+
+        // Chat commands have their own roles and cooldowns
+        if (this.commands.isCommand(text)) {
+            const command = this.commands.find(this.commands.parse(text).name);
+            if (command) {
+                this.recorder.record(session.videoId, 'command', {
+                    name: command.name,
+                    author,
+                    authorChannelId: message.authorDetails.channelId
+                });
+                const spam = this.limiter.trigger(limits);
+                if (spam) return this.replyHeld(spam, session, message, 'commands');
             }
-            if (text.startsWith('!say ')) {
-                return text.substring(5);
+
+            const reply = await this.commands.execute(message, this, { session });
+            if (reply) {
+                const limited = this.limiter.take({ ...limits, category: 'commands' });
+                if (limited) return this.replyHeld(limited, session, message, 'commands');
+                this.sendMessage(reply, liveChatId, { priority: role === 'owner' ? 'owner' : 'command' });
             }
+            return;
         }
 
-        // More selective responses to save quota
-        
-        // Direct greetings to the bot
-        if (text.includes(this.config.botName.toLowerCase()) || text.includes('hello bot') || text.includes('hi bot')) {
-            return this.getRandomResponse(this.responses.greetings);
+        // No ambient replies at all once the quota plan can't afford them; otherwise the
+        // reply limits pace them (the stream's bucket refills at the rate the plan allows)
+        const now = Date.now();
+        if (!session.budget.canReply()) return;
+        // Muted or out of tokens anyway - don't spend an AI call on it (canned rules still
+        // run, so farming them counts towards a mute)
+        const held = this.limiter.check(limits, now);
+
+        // AI when addressed directly, canned lines otherwise or as fallback
+        const context = { limits, locale, firstTime, now };
+        if (this.llm && !held && this.llm.isAddressed(text)) {
+            // Answered in the background, so a slow model never holds up polling
+            this.replyWithAi(message, session, context).catch(error => {
+                log.error('AI reply failed', { ...streamFields(session), error });
+            });
+            return;
+        }
+        this.sendReply(message, session, context, this.cannedReply(message, session, context));
+    }
+
+    // Ask the model, falling back to a canned line when it has nothing to say
+    async replyWithAi(message, session, context) {
+        const response = await this.llm.respond({
+            streamKey: session.videoId,
+            author: message.authorDetails.displayName,
+            text: message.snippet.displayMessage,
+            streamTitle: session.title
+        });
+        const reply = response ? { rule: 'ai', category: 'reactions', response } : this.cannedReply(message, session, context);
+        this.sendReply(message, session, context, reply);
+    }
+
+    // First-time welcome or a personality rule: { rule, category, response } or null
+    cannedReply(message, session, { locale, firstTime }) {
+        const author = message.authorDetails.displayName;
+        if (firstTime) {
+            const response = this.personality.pick('firstTimeWelcome', {
+                author,
+                botName: this.config.botName,
+                streamTitle: session.title,
+                locale
+            });
+            if (response) return { rule: 'first-time-welcome', category: 'greetings', response };
+        }
+        return this.pickResponse(message.snippet.displayMessage, author, session, locale);
+    }
+
+    // Queue an ambient reply, if the limits let it through
+    sendReply(message, session, { limits, now }, reply) {
+        if (!reply || !reply.response) return;
+
+        // Through the viewer's, the stream's and the category's limits
+        const limited = this.limiter.trigger(limits, now) ||
+            this.limiter.take({ ...limits, category: reply.category }, now);
+        if (limited) return this.replyHeld(limited, session, message, reply.category);
+
+        // Random delay to seem more human (2-8 seconds by default)
+        const { min, max } = this.config.replyDelayMs;
+        const delayMs = min + Math.random() * Math.max(0, max - min);
+        this.sendMessage(reply.response, session.liveChatId, { priority: 'ambient', delayMs, rule: reply.rule });
+    }
+
+    // Posted by the bot account; display names aren't unique, so only the channel ID counts
+    isOwnMessage(authorDetails) {
+        return Boolean(this.botChannelId) && authorDetails.channelId === this.botChannelId;
+    }
+
+    // Note a reply the limits didn't let through
+    replyHeld(limit, session, message, category) {
+        this.metrics.repliesLimited.inc({ limit });
+        log.info('Reply held back', {
+            ...streamFields(session),
+            author: message.authorDetails.displayName,
+            authorChannelId: message.authorDetails.channelId,
+            category,
+            limit
+        });
+    }
+
+    // Someone other than the owner named them in chat (with or without the @)
+    mentionsOwner(message) {
+        const owner = this.config.ownerUsername.replace(/^@/, '');
+        if (!owner || getRole(message.authorDetails, this.config.ownerChannelId) === 'owner') return false;
+        return this.personality.wordPattern(owner).test(normalizeText(message.snippet.displayMessage));
+    }
+
+    // Send a notification about a stream, with its details filled in
+    notifyStream(event, session, data = {}, options = {}) {
+        this.notifier.notify(event, {
+            videoId: session.videoId,
+            channelId: session.channelId,
+            title: session.title || session.videoId,
+            url: `https://youtu.be/${session.videoId}`,
+            ...data
+        }, options);
+    }
+
+    // Thank a supporter and add the event to the stream's tally
+    handleSupportEvent(message, session) {
+        const event = this.support.describe(message);
+        log.info('Support event', {
+            ...streamFields(session),
+            type: event.type,
+            author: event.author,
+            authorChannelId: event.channelId,
+            amount: event.amount,
+            comment: event.comment || undefined
+        });
+        this.support.record(session.videoId, event);
+
+        if (this.loyalty && (event.type === 'superChatEvent' || event.type === 'superStickerEvent')) {
+            this.loyalty.recordSuperChat({ channelId: event.channelId, displayName: event.author });
         }
 
-        // Only respond to very specific keywords
-        if (text.includes('amazing play') || text.includes('insane play') || text.includes('incredible play')) {
-            return this.getRandomResponse(this.responses.reactions.amazing);
+        const thanks = this.support.thankYou(event);
+        if (thanks) {
+            this.sendMessage(thanks, session.liveChatId, { priority: 'command' });
+        }
+    }
+
+    // Award loyalty points for a chat message, returns true for someone's first message ever
+    recordLoyalty(message, session) {
+        if (!this.loyalty || !message.authorDetails.channelId) return false;
+
+        const { isNew } = this.loyalty.recordChat({
+            channelId: message.authorDetails.channelId,
+            displayName: message.authorDetails.displayName,
+            isMember: Boolean(message.authorDetails.isChatSponsor),
+            streamId: session.videoId,
+            live: session.status === 'live'
+        });
+        return isNew;
+    }
+
+    // Run a message through the moderation filters (returns true if action was taken)
+    async moderateMessage(message, session) {
+        const decision = this.moderator.check(message);
+        if (!decision) return false;
+
+        decision.liveChatId = session.liveChatId;
+        decision.videoId = session.videoId;
+
+        log.info('Moderation decision', {
+            ...streamFields(session),
+            action: decision.action,
+            author: decision.author,
+            authorChannelId: decision.channelId,
+            reason: decision.reason,
+            strikes: decision.strikes
+        });
+        const outcome = await this.applyModeration(decision);
+        this.moderator.record(decision, outcome);
+        return true;
+    }
+
+    // Carry out a moderation decision through the YouTube API
+    async applyModeration(decision) {
+        if (decision.action === 'warn') {
+            const warning = render(this.moderator.settings.warnMessage, {
+                author: decision.author,
+                reason: decision.reason
+            });
+            this.sendMessage(warning, decision.liveChatId, { priority: 'moderation' });
+            return 'warned';
         }
 
-        if (text.includes('epic fail') || text.includes('big fail')) {
-            return this.getRandomResponse(this.responses.reactions.fail);
+        // delete: 50 units, timeout/ban: 200 units
+        const cost = decision.action === 'delete' ? 50 : 200;
+        if (!this.canMakeApiCall(cost)) {
+            log.warn('Moderation skipped - quota limit reached', { action: decision.action, authorChannelId: decision.channelId });
+            return 'skipped: quota';
         }
 
-        if (text.includes('clutch play') || text.includes('clutch win')) {
-            return this.getRandomResponse(this.responses.reactions.clutch);
+        if (!this.hasWriteAccess()) {
+            log.warn('Moderation skipped - no OAuth tokens configured', { action: decision.action, authorChannelId: decision.channelId });
+            return 'skipped: no oauth';
         }
 
-        // Questions directed at bot
-        if (text.includes('bot') && (text.includes('are you') || text.includes('real'))) {
-            return "Yep, I'm a bot! 🤖 Here to enjoy the stream with everyone!";
+        if (!this.breakers.moderation.canRequest()) {
+            log.warn('Moderation skipped - circuit breaker open', { action: decision.action, authorChannelId: decision.channelId });
+            return 'skipped: circuit open';
         }
 
-        // Reduce random engagement to 0.5% to save quota
-        if (Math.random() < 0.005) {
-            const randomEngagements = [
-                "This stream is so good! 🔥",
-                "Great gameplay! 🎮",
-                "Love the energy in chat! ❤️"
-            ];
-            return this.getRandomResponse(randomEngagements);
+        try {
+            if (decision.action === 'delete') {
+                await this.youtube.liveChatMessages.delete({
+                    id: decision.messageId,
+                    auth: this.oauth2Client
+                });
+            } else {
+                const snippet = {
+                    liveChatId: decision.liveChatId,
+                    type: decision.action === 'ban' ? 'permanent' : 'temporary',
+                    bannedUserDetails: { channelId: decision.channelId }
+                };
+                if (decision.action === 'timeout') {
+                    snippet.banDurationSeconds = this.moderator.settings.timeoutSeconds;
+                }
+                await this.youtube.liveChatBans.insert({
+                    part: ['snippet'],
+                    auth: this.oauth2Client,
+                    requestBody: { snippet }
+                });
+            }
+
+            this.trackQuotaUsage(cost, decision.action === 'delete' ? 'liveChatMessages.delete' : 'liveChatBans.insert', decision.videoId);
+            this.breakers.moderation.success();
+            return 'done';
+        } catch (error) {
+            await this.handleApiError('moderation', `applying ${decision.action}`, error);
+            return `failed: ${error.message}`;
         }
+    }
 
-        return null; // No response
+    // Generate appropriate response from the personality rules
+    generateResponse(text, author, session = null) {
+        const result = this.pickResponse(text, author, session);
+        return result ? result.response : null; // No response
+    }
+
+    // Same as generateResponse, but also says which rule matched: { rule, category, response, locale } or null
+    pickResponse(text, author, session = null, locale = null) {
+        return this.personality.respond(text, {
+            author,
+            botName: this.config.botName,
+            streamTitle: session ? session.title : '',
+            locale: locale || this.detectLocale(text, session ? session.channelId : null)
+        });
+    }
+
+    // Language to answer in: the message's own if the personality has rules for it,
+    // otherwise the channel's default locale
+    detectLocale(text, channelId = null) {
+        const detected = detectLanguage(text);
+        if (detected && this.personality.hasLocale(detected.locale)) {
+            return detected.locale;
+        }
+        return this.config.channelLocales[channelId] || this.config.defaultLocale || this.personality.locale;
     }
 
     // Check if message contains greeting
     containsGreeting(text) {
-        const greetings = [
-            'hello', 'hi', 'hey', 'sup', 'what\'s up', 'good morning', 
-            'good evening', 'good afternoon', 'yo', 'hiya', 'howdy'
-        ];
-        return greetings.some(greeting => text.includes(greeting));
+        return this.personality.containsGreeting(text);
     }
 
-    // Get random response from array
-    getRandomResponse(responses) {
-        return responses[Math.floor(Math.random() * responses.length)];
+    // Queue a message for chat, resolves to whether it was sent
+    // priority: owner, moderation, command (default) or ambient; delayMs holds it back
+    sendMessage(message, liveChatId = this.getDefaultLiveChatId(), options = {}) {
+        return this.outbound.enqueue(message, { liveChatId, ...options });
     }
 
-    // Send message to chat (QUOTA: 50 units)
-    async sendMessage(message) {
+    // Post one message to chat (QUOTA: 50 units) - only the outbound queue calls this
+    // Resolves false when it can't be sent at all, throws on API errors so the queue can retry
+    async postMessage(message, liveChatId, { rule = null } = {}) {
         // Check quota before sending
         if (!this.canMakeApiCall(50)) {
-            console.log(`🤐 Would send: ${message} (but quota limit reached)`);
-            return;
+            log.warn('Message not sent - quota limit reached', { liveChatId, text: message });
+            return false;
+        }
+
+        if (!liveChatId) {
+            log.warn('Message not sent - not connected to a live chat', { text: message });
+            return false;
         }
 
         // Check if we have OAuth tokens to send messages
-        if (!process.env.OAUTH_TOKENS) {
-            console.log(`🤐 Would send: ${message} (but no OAuth tokens configured)`);
-            return;
+        if (!this.hasWriteAccess()) {
+            log.warn('Message not sent - no OAuth tokens configured', { liveChatId, text: message });
+            return false;
+        }
+
+        if (!this.breakers['liveChatMessages.insert'].canRequest()) {
+            log.warn('Message not sent - circuit breaker open', { liveChatId, text: message });
+            return false;
         }
 
         try {
-            await this.youtube.liveChatMessages.insert({
+            const response = await this.youtube.liveChatMessages.insert({
                 part: ['snippet'],
                 auth: this.oauth2Client, // Use OAuth for sending messages
                 requestBody: {
                     snippet: {
-                        liveChatId: this.liveChatId,
+                        liveChatId,
                         type: 'textMessageEvent',
                         textMessageDetails: {
                             messageText: message
@@ -508,26 +1695,100 @@ class YouTubeChatBot {
                 }
             });
 
-            this.trackQuotaUsage(50);
-            console.log(`🤖 ${this.config.botName}: ${message}`);
+            const session = [...this.streams.values()].find(candidate => candidate.liveChatId === liveChatId);
+            this.trackQuotaUsage(50, 'liveChatMessages.insert', session ? session.videoId : null);
+            this.breakers['liveChatMessages.insert'].success();
+
+            // YouTube says which channel posted it, in case the lookup at startup couldn't run
+            const posted = response && response.data && response.data.snippet;
+            const authorChannelId = posted ? posted.authorChannelId : null;
+            if (authorChannelId && !this.botChannelId) {
+                this.botChannelId = authorChannelId;
+                log.info('Bot channel learned from the first message sent', { botChannelId: authorChannelId });
+            }
+            log.info('Reply sent', { videoId: session ? session.videoId : undefined, liveChatId, rule, reply: message });
+            this.metrics.repliesSent.inc({ rule: rule || 'none' });
+            if (session) {
+                this.recorder.record(session.videoId, 'reply', { text: message, rule });
+            }
+
+            const replyEntry = {
+                kind: 'reply',
+                videoId: session ? session.videoId : null,
+                text: message,
+                time: new Date().toISOString()
+            };
+            this.rememberChat(replyEntry);
+            this.emit('reply', replyEntry);
+            return true;
             
         } catch (error) {
-            console.error('Error sending message:', error.message);
+            const failure = await this.handleApiError('liveChatMessages.insert', 'sending message', error);
+            if (failure.kind === 'chatEnded' || failure.kind === 'chatUnavailable') {
+                // The poller notices too, but a reply may be the first call to hit it
+                this.requestStreamCheck();
+            }
+            // Tells the outbound queue whether to retry
+            error.retryable = failure.retryable;
+            throw error;
         }
     }
 
+    // Thank a stream's supporters while its chat is still open, skipped when nothing came in
+    // since the last roll-up (the owner may have posted one with !thanks). Resolves to whether it was sent.
+    async postSupportRollup(session) {
+        if (!session.liveChatId) return false;
+        const rollup = this.support.rollup(session.videoId, { onlyNew: true });
+        if (!rollup) return false;
+        session.rollupPosted = true;
+        log.info('Support roll-up', { ...streamFields(session), text: rollup });
+        return this.sendMessage(rollup, session.liveChatId, { priority: 'command' });
+    }
+
+    // YouTube closes the chat as soon as a stream ends, so the roll-up goes out shortly
+    // before the broadcast's scheduled end rather than after it
+    rollupDue(session, now = Date.now()) {
+        if (session.rollupPosted || session.status !== 'live' || !session.scheduledEndTime) return false;
+        const leadMs = this.support.settings.rollupMinutesBeforeEnd * 60 * 1000;
+        return now >= new Date(session.scheduledEndTime).getTime() - leadMs;
+    }
+
+    // Stop from the control API: post each live stream's roll-up and wait for it to go out first
+    async stopMonitoring(timeoutMs = this.config.shutdownTimeoutMs) {
+        for (const session of this.streams.values()) {
+            if (session.status === 'live') this.postSupportRollup(session);
+        }
+        await this.outbound.flush(timeoutMs);
+        this.stop();
+    }
+
     // Stop the bot
     stop() {
-        this.isRunning = false;
-        if (this.streamCheckInterval) {
-            clearInterval(this.streamCheckInterval);
+        for (const session of this.streams.values()) {
+            session.stop();
         }
-        console.log('⏹️ Bot stopped');
+        this.outbound.clear();
+        if (this.loyalty) {
+            this.loyalty.save();
+        }
+        this.monitoring = false;
+        clearTimeout(this.streamCheckTimer);
+        clearInterval(this.announcementTimer);
+        if (this.discovery.stop) {
+            this.discovery.stop();
+        }
+        log.info('Bot stopped');
     }
 }
 
 // Validate environment variables
 function validateEnvironment() {
+    // The simulated API needs no credentials
+    if (process.env.SIMULATION_SCRIPT) {
+        log.info('Simulation mode - no YouTube credentials needed');
+        return;
+    }
+
     const required = [
         'YOUTUBE_API_KEY',
         'YOUTUBE_CLIENT_ID', 
@@ -538,17 +1799,11 @@ function validateEnvironment() {
     const missing = required.filter(key => !process.env[key]);
     
     if (missing.length > 0) {
-        console.error('❌ Missing required environment variables:');
-        missing.forEach(key => console.error(`   - ${key}`));
-        console.error('\n💡 Please set these in your hosting platform dashboard.');
+        log.error('Missing required environment variables - set them in your hosting platform dashboard', { missing });
         process.exit(1);
     }
     
-    console.log('✅ All required environment variables found');
-    
-    if (!process.env.OAUTH_TOKENS) {
-        console.warn('⚠️ OAUTH_TOKENS not set. Bot will only read chat, not send messages.');
-    }
+    log.info('All required environment variables found');
 }
 
 // Main function
@@ -557,31 +1812,51 @@ async function main() {
         validateEnvironment();
         
         const bot = new YouTubeChatBot();
+        // Handle graceful shutdown (a second Ctrl+C exits straight away)
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, async () => {
+                await bot.shutdown();
+                process.exit(0);
+            });
+        }
+        await bot.listen();
+        // Keep service alive (for Railway/Render)
+        bot.setupKeepAlive();
         await bot.startContinuousMonitoring();
         
-        console.log('✅ Bot is running in quota-optimized mode!');
-        console.log('🔄 Will check for streams every 30 minutes during streaming hours');
-        console.log('📊 Daily quota limit: 10,000 units');
-        console.log('🌐 Check bot status at your hosting URL\n');
+        if (bot.simulator) {
+            reportSimulation(bot);
+        }
+        
+        log.info('Bot is running in quota-optimized mode', {
+            streamCheckMinutes: Math.round(bot.streamCheckIntervalMs / 60000),
+            quotaLimit: bot.quota.limit
+        });
         
     } catch (error) {
-        console.error('❌ Bot failed to start:', error.message);
+        log.error('Bot failed to start', { error });
         process.exit(1);
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n👋 Bot shutting down gracefully...');
-    process.exit(0);
-});
+// Print what the bot sent once the simulated stream is over, then exit
+function reportSimulation(bot) {
+    const timer = setInterval(async () => {
+        if (!bot.simulator.isFinished() || bot.streams.size > 0) return;
+        clearInterval(timer);
 
-process.on('SIGTERM', () => {
-    console.log('\n👋 Bot shutting down gracefully...');
-    process.exit(0);
-});
+        log.info('Simulation finished', {
+            sent: bot.simulator.sent.map(message => `[${message.at.toFixed(1)}s] ${message.text}`)
+        });
+        await bot.close();
+        process.exit(0);
+    }, 1000);
+}
 
-// Start the bot
-main();
+// Only start when run directly, so tests can require the class
+if (require.main === module) {
+    // Start the bot
+    main();
+}
 
 module.exports = YouTubeChatBot;
\ No newline at end of file
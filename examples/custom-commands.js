@@ -0,0 +1,29 @@
+// Example custom commands module
+// Point COMMANDS_MODULE at a file like this one to add commands without editing chatbot.js
+module.exports = (registry, bot) => {
+    registry.register({
+        name: 'discord',
+        aliases: ['dc'],
+        description: 'Link to the community Discord',
+        cooldown: 60,
+        handler: () => 'Join the Discord: https://discord.gg/your-invite'
+    });
+
+    registry.register({
+        name: 'uptime',
+        description: 'How long the bot has been running',
+        role: 'moderator',
+        handler: () => `⏱️ Up for ${Math.floor(process.uptime() / 60)} minutes`
+    });
+
+    registry.register({
+        name: 'so',
+        aliases: ['shoutout'],
+        description: 'Shout out another creator',
+        usage: '<name>',
+        role: 'moderator',
+        userCooldown: 30,
+        args: [{ name: 'name', required: true }],
+        handler: ({ args }) => `📣 Go check out ${args.name}! Show them some love!`
+    });
+};
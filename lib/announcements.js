@@ -0,0 +1,78 @@
+const { readConfigFile } = require('./files');
+
+const DEFAULTS = {
+    enabled: true,
+    // An announcement only goes out once chat has had this many messages since it last did...
+    minMessages: 5,
+    // ...and someone has spoken within this window, so an empty stream costs no quota
+    activeWindowMinutes: 10,
+    // [{ id, message, everyMinutes }]
+    announcements: []
+};
+
+// Repeating messages (socials, schedule) posted only while chat is active
+class Announcer {
+    constructor(options = {}) {
+        this.settings = { ...DEFAULTS, ...options };
+        this.streams = new Map();
+    }
+
+    // Build settings from the optional config file plus environment overrides
+    static fromFile(filePath, overrides = {}) {
+        const { resolved, settings: fileSettings } = readConfigFile(filePath, 'announcements');
+
+        const settings = { ...fileSettings, ...overrides };
+        const problems = (settings.announcements || []).flatMap((announcement, index) => {
+            const label = announcement.id || `announcements[${index}]`;
+            const found = [];
+            if (!announcement.id) found.push(`${label}: "id" is required`);
+            if (typeof announcement.message !== 'string' || !announcement.message) found.push(`${label}: "message" is required`);
+            if (!(announcement.everyMinutes > 0)) found.push(`${label}: "everyMinutes" must be a positive number`);
+            return found;
+        });
+        if (problems.length > 0) {
+            throw new Error(`Invalid announcements config ${resolved}: ${problems.join('; ')}`);
+        }
+        return new Announcer(settings);
+    }
+
+    stream(streamKey, now) {
+        if (!this.streams.has(streamKey)) {
+            this.streams.set(streamKey, { startedAt: now, lastChat: 0, lastPosted: {}, messagesSince: {} });
+        }
+        return this.streams.get(streamKey);
+    }
+
+    recordChat(streamKey, now = Date.now()) {
+        const state = this.stream(streamKey, now);
+        state.lastChat = now;
+        for (const announcement of this.settings.announcements) {
+            state.messagesSince[announcement.id] = (state.messagesSince[announcement.id] || 0) + 1;
+        }
+    }
+
+    // The first announcement that is due for this stream, or null
+    next(streamKey, now = Date.now()) {
+        if (!this.settings.enabled) return null;
+        const state = this.stream(streamKey, now);
+        if (now - state.lastChat > this.settings.activeWindowMinutes * 60 * 1000) return null;
+
+        return this.settings.announcements.find(announcement => {
+            const last = state.lastPosted[announcement.id] || state.startedAt;
+            return now - last >= announcement.everyMinutes * 60 * 1000 &&
+                (state.messagesSince[announcement.id] || 0) >= this.settings.minMessages;
+        }) || null;
+    }
+
+    markPosted(streamKey, id, now = Date.now()) {
+        const state = this.stream(streamKey, now);
+        state.lastPosted[id] = now;
+        state.messagesSince[id] = 0;
+    }
+
+    forget(streamKey) {
+        this.streams.delete(streamKey);
+    }
+}
+
+module.exports = { Announcer, DEFAULTS };
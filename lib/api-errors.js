@@ -0,0 +1,111 @@
+// What a failed YouTube Data API call means for the bot, and a circuit breaker so
+// failures that keep coming back stop costing quota
+
+// YouTube error reasons by kind; anything unlisted falls back to the HTTP status
+const REASONS = {
+    chatEnded: ['liveChatEnded'],
+    chatUnavailable: ['liveChatDisabled', 'liveChatNotFound', 'videoNotFound'],
+    quotaExceeded: ['quotaExceeded', 'dailyLimitExceeded'],
+    rateLimited: ['rateLimitExceeded', 'userRateLimitExceeded'],
+    auth: ['authError', 'invalid_grant', 'unauthorized'],
+    forbidden: ['forbidden', 'insufficientPermissions']
+};
+
+// Worth retrying the same call later (with backoff)
+const RETRYABLE = ['rateLimited', 'server', 'network'];
+
+// Reason from a googleapis error (error.errors) or the raw response body
+function errorReason(error) {
+    const apiError = error.response && error.response.data && error.response.data.error;
+    return (error.errors && error.errors[0] && error.errors[0].reason) ||
+        (apiError && apiError.errors && apiError.errors[0] && apiError.errors[0].reason) ||
+        // OAuth token endpoint errors look like { error: 'invalid_grant' }
+        (typeof apiError === 'string' ? apiError : null);
+}
+
+// { kind, reason, status, retryable } for a failed API call
+// kind: chatEnded, chatUnavailable, quotaExceeded, rateLimited, auth, forbidden, server, network or other
+function classifyApiError(error) {
+    const reason = errorReason(error) || null;
+    const status = error.response ? error.response.status : (typeof error.code === 'number' ? error.code : null);
+
+    let kind = Object.keys(REASONS).find(candidate => REASONS[candidate].includes(reason));
+    if (!kind) {
+        if (!error.response && status === null) kind = 'network';
+        else if (status === 401) kind = 'auth';
+        else if (status === 429) kind = 'rateLimited';
+        else if (status >= 500) kind = 'server';
+        else if (status === 403) kind = 'forbidden';
+        else if (status === 404) kind = 'chatUnavailable';
+        else kind = 'other';
+    }
+
+    return { kind, reason, status, retryable: RETRYABLE.includes(kind) };
+}
+
+// Exponential backoff with ±20% jitter so several streams don't retry in lockstep
+function backoffDelay(attempt, baseMs, maxMs) {
+    const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// closed: calls go through. open: calls are skipped until the cooldown ends.
+// half-open: one trial call decides - success closes it, failure reopens it for twice as long.
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.threshold = options.threshold || 5;
+        this.cooldownMs = options.cooldownMs || 5 * 60 * 1000;
+        this.maxCooldownMs = options.maxCooldownMs || 60 * 60 * 1000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedCount = 0;
+        this.retryAt = null;
+        this.lastFailure = null;
+    }
+
+    // Whether a call may go out now (moves an expired open breaker to half-open)
+    canRequest(now = Date.now()) {
+        if (this.state === 'open' && now >= this.retryAt) {
+            this.state = 'half-open';
+        }
+        return this.state !== 'open';
+    }
+
+    // Milliseconds until the next call may go out (0 when it may go now)
+    retryIn(now = Date.now()) {
+        return this.state === 'open' ? Math.max(0, this.retryAt - now) : 0;
+    }
+
+    success() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedCount = 0;
+        this.retryAt = null;
+    }
+
+    // Returns true when this failure opened the breaker
+    failure(failure, now = Date.now()) {
+        this.failures += 1;
+        this.lastFailure = { kind: failure.kind, reason: failure.reason, time: new Date(now).toISOString() };
+        if (this.state !== 'half-open' && this.failures < this.threshold) return false;
+
+        const cooldown = Math.min(this.maxCooldownMs, this.cooldownMs * 2 ** this.openedCount);
+        this.state = 'open';
+        this.openedCount += 1;
+        this.retryAt = now + cooldown;
+        return true;
+    }
+
+    toJSON() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+module.exports = { classifyApiError, errorReason, backoffDelay, CircuitBreaker, REASONS };
@@ -0,0 +1,112 @@
+// Plans poll interval and reply allowance so the quota lasts the whole stream
+//
+// Stages, from best to worst:
+//   normal          - replies at the expected rate, polling at a comfortable pace
+//   reduced-replies - fewer replies so polling can stay comfortable
+//   slow-polling    - no ambient replies, polling slowed down to stretch the quota
+//   stopped         - not even one more poll fits in the quota
+
+const STAGES = ['normal', 'reduced-replies', 'slow-polling', 'stopped'];
+
+class BudgetPlanner {
+    constructor(options = {}) {
+        this.pollCost = options.pollCost || 5;
+        this.replyCost = options.replyCost || 50;
+        this.expectedRepliesPerHour = options.expectedRepliesPerHour ?? 20;
+        this.minPollIntervalMs = options.minPollIntervalMs || 8000;
+        this.comfortPollIntervalMs = options.comfortPollIntervalMs || 20000;
+        this.maxPollIntervalMs = options.maxPollIntervalMs || 120000;
+        this.minReplyIntervalMs = options.minReplyIntervalMs || 15000;
+        // Chat activity below this many messages per minute counts as quiet
+        this.quietMessagesPerMinute = options.quietMessagesPerMinute ?? 2;
+
+        this.messagesPerMinute = null;
+        this.plan = null;
+    }
+
+    // Feed in how many messages arrived since the last poll
+    recordActivity(messageCount, elapsedMs) {
+        if (elapsedMs <= 0) return;
+        const rate = messageCount / (elapsedMs / 60000);
+        // Exponential moving average so one busy poll doesn't swing the plan
+        this.messagesPerMinute = this.messagesPerMinute === null
+            ? rate
+            : this.messagesPerMinute * 0.7 + rate * 0.3;
+    }
+
+    // Slow down when chat is quiet, back to full speed when it picks up
+    activityFactor() {
+        if (this.messagesPerMinute === null) return 1;
+        if (this.messagesPerMinute < this.quietMessagesPerMinute / 4) return 3;
+        if (this.messagesPerMinute < this.quietMessagesPerMinute) return 1.5;
+        return 1;
+    }
+
+    // Work out a fresh plan
+    //   remainingQuota   - units we can still spend today
+    //   remainingMs      - how long the stream is expected to keep going
+    //   reserveUnits     - units held back for stream checks etc.
+    //   serverIntervalMs - pollingIntervalMillis suggested by YouTube
+    update({ remainingQuota, remainingMs, reserveUnits = 0, serverIntervalMs = 0 }) {
+        const spendable = Math.max(0, remainingQuota - reserveUnits);
+        const duration = Math.max(remainingMs, 60 * 1000);
+        const floor = Math.max(this.minPollIntervalMs, serverIntervalMs || 0);
+        const pollUnitsAt = interval => this.pollCost * duration / interval;
+
+        let stage;
+        let replies;
+        let interval;
+
+        if (remainingQuota < this.pollCost) {
+            stage = 'stopped';
+            replies = 0;
+            interval = null;
+        } else {
+            const wantedReplies = Math.ceil(this.expectedRepliesPerHour * duration / 3600000);
+            const comfortPollUnits = pollUnitsAt(Math.max(floor, this.comfortPollIntervalMs));
+
+            if (spendable - wantedReplies * this.replyCost >= comfortPollUnits) {
+                stage = 'normal';
+                replies = wantedReplies;
+            } else {
+                replies = Math.max(0, Math.floor((spendable - comfortPollUnits) / this.replyCost));
+                stage = replies > 0 ? 'reduced-replies' : 'slow-polling';
+            }
+
+            // Fastest interval that still leaves room for the planned replies
+            const pollUnits = spendable - replies * this.replyCost;
+            const needed = pollUnits > 0 ? this.pollCost * duration / pollUnits : Infinity;
+            interval = Math.max(floor, needed) * this.activityFactor();
+            interval = Math.ceil(Math.min(Math.max(interval, floor), this.maxPollIntervalMs));
+        }
+
+        this.plan = {
+            stage,
+            pollIntervalMs: interval,
+            replyAllowance: replies,
+            replyIntervalMs: replies > 0 ? Math.max(this.minReplyIntervalMs, Math.round(duration / replies)) : null,
+            lastsWholeStream: interval !== null && pollUnitsAt(interval) + replies * this.replyCost <= spendable,
+            remainingQuota,
+            reserveUnits,
+            remainingStreamMinutes: Math.round(duration / 60000),
+            messagesPerMinute: this.messagesPerMinute === null ? null : Math.round(this.messagesPerMinute * 10) / 10,
+            updatedAt: new Date().toISOString()
+        };
+
+        return this.plan;
+    }
+
+    // Whether the plan has room for ambient (non-command) replies at all
+    // Pacing them is up to the reply limiter's per-stream bucket (see repliesPerMinute)
+    canReply() {
+        return !this.plan || this.plan.replyIntervalMs !== null;
+    }
+
+    // Average ambient reply rate the quota allows, null before the first plan or when there is none
+    repliesPerMinute() {
+        if (!this.plan || this.plan.replyIntervalMs === null) return null;
+        return 60000 / this.plan.replyIntervalMs;
+    }
+}
+
+module.exports = { BudgetPlanner, STAGES };
@@ -0,0 +1,236 @@
+const { PollManager } = require('./polls');
+
+// Commands that ship with the bot
+function registerBuiltinCommands(registry, bot) {
+    registry.register({
+        name: 'status',
+        description: 'Show bot status',
+        role: 'owner',
+        handler: () => {
+            const streams = bot.getActiveStreams().map(session => session.videoId).join(', ');
+            return `🤖 Bot Status: Active | Quota: ${bot.dailyQuotaUsed}/${bot.quota.limit} | Stream: ${streams || 'none'}`;
+        }
+    });
+
+    registry.register({
+        name: 'quota',
+        description: 'Show API quota usage',
+        role: 'owner',
+        handler: () => `📊 Quota Used: ${bot.dailyQuotaUsed}/${bot.quota.limit} units | Resets: ${bot.quotaResetTime.toLocaleTimeString('en-US', { timeZone: 'America/Los_Angeles', timeZoneName: 'short' })}`
+    });
+
+    registry.register({
+        name: 'ping',
+        description: 'Check the bot is alive',
+        role: 'owner',
+        handler: () => '🏓 Pong!'
+    });
+
+    registry.register({
+        name: 'say',
+        description: 'Make the bot say something',
+        usage: '<message>',
+        role: 'owner',
+        args: [{ name: 'text', rest: true, required: true }],
+        handler: ({ args }) => args.text
+    });
+
+    registry.register({
+        name: 'thanks',
+        description: 'Thank everyone who supported this stream so far',
+        role: 'owner',
+        handler: ({ session }) => {
+            if (!session) return null;
+            return bot.support.rollup(session.videoId) || 'No Super Chats or new members yet this stream';
+        }
+    });
+
+    if (bot.loyalty) {
+        registerLoyaltyCommands(registry, bot.loyalty);
+    }
+    registerPollCommands(registry, bot);
+    registerGiveawayCommands(registry, bot);
+
+    registry.register({
+        name: 'help',
+        aliases: ['commands'],
+        description: 'List the commands you can use',
+        usage: '[command]',
+        userCooldown: 30,
+        args: [{ name: 'command' }],
+        handler: ({ args, role }) => {
+            const prefix = registry.prefix;
+
+            if (args.command) {
+                const command = registry.find(args.command.replace(prefix, ''));
+                if (!command || !registry.listFor(role).includes(command)) {
+                    return `No command called ${prefix}${args.command.replace(prefix, '')}`;
+                }
+                const usage = command.usage ? ` ${command.usage}` : '';
+                return `${prefix}${command.name}${usage} - ${command.description || 'no description'}`;
+            }
+
+            const names = registry.listFor(role).map(command => `${prefix}${command.name}`);
+            return `Commands: ${names.join(', ')}`;
+        }
+    });
+}
+
+// Loyalty points: !points, !top and the owner's !give / !take
+function registerLoyaltyCommands(registry, loyalty) {
+    const formatWatchTime = ms => {
+        const minutes = Math.floor(ms / 60000);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    };
+
+    registry.register({
+        name: 'points',
+        description: 'Show your loyalty points',
+        usage: '[@viewer]',
+        userCooldown: 30,
+        args: [{ name: 'viewer' }],
+        handler: ({ args, author, authorChannelId }) => {
+            const viewer = args.viewer ? loyalty.findByName(args.viewer) : loyalty.get(authorChannelId);
+            if (!viewer) {
+                return args.viewer ? `I haven't seen ${args.viewer} in chat yet` : `@${author} you don't have any points yet`;
+            }
+            return `🏅 ${viewer.displayName}: ${viewer.points} points | #${loyalty.rank(viewer.channelId)} | watched ${formatWatchTime(viewer.watchMs)}`;
+        }
+    });
+
+    registry.register({
+        name: 'top',
+        aliases: ['leaderboard'],
+        description: 'Show the loyalty leaderboard',
+        cooldown: 60,
+        handler: () => {
+            const leaders = loyalty.top(5).filter(viewer => viewer.points > 0);
+            if (leaders.length === 0) return 'No points on the board yet!';
+            return '🏆 ' + leaders.map((viewer, index) => `${index + 1}. ${viewer.displayName} (${viewer.points})`).join(' | ');
+        }
+    });
+
+    for (const [name, sign] of [['give', 1], ['take', -1]]) {
+        registry.register({
+            name,
+            description: `${sign > 0 ? 'Give' : 'Take'} loyalty points`,
+            usage: '<@viewer> <amount>',
+            role: 'owner',
+            args: [
+                { name: 'viewer', required: true },
+                { name: 'amount', type: 'integer', required: true }
+            ],
+            handler: ({ args }) => {
+                const viewer = loyalty.findByName(args.viewer);
+                if (!viewer) return `I haven't seen ${args.viewer} in chat yet`;
+                if (args.amount <= 0) return 'Amount must be a positive whole number';
+
+                loyalty.adjust(viewer.channelId, sign * args.amount);
+                return `🏅 ${viewer.displayName} now has ${viewer.points} points`;
+            }
+        });
+    }
+}
+
+// Polls: !poll "question" a | b, !poll close, !vote <number>
+function registerPollCommands(registry, bot) {
+    const polls = bot.polls;
+
+    registry.register({
+        name: 'poll',
+        description: 'Open a poll, or close the current one',
+        usage: '"question" option 1 | option 2 | ... (or close)',
+        role: 'moderator',
+        handler: ({ session, argString }) => {
+            if (!session) return null;
+            const streamKey = session.videoId;
+
+            if (argString.trim().toLowerCase() === 'close') {
+                const results = polls.close(streamKey);
+                return results ? PollManager.formatResults(results) : 'No poll is open';
+            }
+
+            const current = polls.get(streamKey);
+            if (!argString.trim()) {
+                if (!current) return `Usage: ${registry.prefix}poll ${registry.find('poll').usage}`;
+                return `📊 ${current.question} — ${current.options.map((option, index) => `${index + 1}) ${option}`).join(' | ')} — ${current.votes.size} vote(s) so far`;
+            }
+
+            const parsed = PollManager.parse(argString);
+            if (!parsed) return `Usage: ${registry.prefix}poll ${registry.find('poll').usage}`;
+
+            try {
+                const poll = polls.open(streamKey, parsed);
+                const minutes = Math.round((poll.closesAt - poll.openedAt) / 60000);
+                const options = poll.options.map((option, index) => `${index + 1}) ${option}`).join(' | ');
+                return `📊 Poll: ${poll.question} — ${options} — vote with ${registry.prefix}vote <number> (closes in ${minutes}m)`;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    });
+
+    registry.register({
+        name: 'vote',
+        description: 'Vote in the current poll',
+        usage: '<number>',
+        args: [{ name: 'choice', type: 'integer', required: true }],
+        // Votes are counted quietly, the results come when the poll closes
+        handler: ({ session, args, authorChannelId }) => {
+            if (session) polls.vote(session.videoId, authorChannelId, args.choice);
+            return null;
+        }
+    });
+}
+
+// Giveaways: !giveaway <keyword> [members] [points=N], then draw / reroll / end
+function registerGiveawayCommands(registry, bot) {
+    const giveaways = bot.giveaways;
+
+    registry.register({
+        name: 'giveaway',
+        description: 'Run a giveaway viewers enter by typing a keyword',
+        usage: '<keyword> [members] [points=N] | draw | reroll | end',
+        role: 'moderator',
+        args: [{ name: 'action', required: true }, { name: 'rules', rest: true }],
+        handler: ({ session, args }) => {
+            if (!session) return null;
+            const streamKey = session.videoId;
+            const current = giveaways.get(streamKey);
+            const action = args.action.toLowerCase();
+
+            if (action === 'draw' || action === 'reroll') {
+                if (!current) return 'No giveaway is running';
+                const winner = giveaways.draw(streamKey);
+                if (!winner) return current.entrants.size === 0 ? 'Nobody has entered yet' : 'Everyone who entered has already won!';
+                return `🎉 The winner is @${winner.displayName}! (${current.entrants.size} entrant${current.entrants.size === 1 ? '' : 's'})`;
+            }
+
+            if (action === 'end' || action === 'cancel') {
+                const ended = giveaways.end(streamKey);
+                return ended ? `🎁 Giveaway closed (${ended.entrants.size} entrants)` : 'No giveaway is running';
+            }
+
+            const rules = (args.rules || '').toLowerCase().split(/\s+/).filter(Boolean);
+            const pointsRule = rules.find(rule => rule.startsWith('points='));
+            const options = {
+                keyword: args.action,
+                membersOnly: rules.includes('members'),
+                minPoints: pointsRule ? parseInt(pointsRule.slice('points='.length), 10) || 0 : 0
+            };
+
+            try {
+                giveaways.start(streamKey, options);
+            } catch (error) {
+                return error.message;
+            }
+            const conditions = [
+                options.membersOnly ? 'members only' : null,
+                options.minPoints > 0 ? `${options.minPoints}+ points` : null
+            ].filter(Boolean);
+            return `🎁 Giveaway time! Type ${options.keyword} in chat to enter${conditions.length ? ` (${conditions.join(', ')})` : ''}`;
+        }
+    });
+}
+
+module.exports = { registerBuiltinCommands };
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./files');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'checkpoint' });
+
+// Where each monitored chat was (page token) plus command cooldowns and reply limits, so a
+// restart rejoins the same chats without replaying old messages or resetting the limits
+class Checkpoint {
+    constructor(options = {}) {
+        this.filePath = options.filePath ? path.resolve(process.cwd(), options.filePath) : null;
+        // Older than this and the streams have most likely moved on
+        this.maxAgeMs = options.maxAgeMs || 6 * 60 * 60 * 1000;
+    }
+
+    // { savedAt, streams, commandCooldowns, replyLimits } or null when there's nothing recent enough
+    load(now = Date.now()) {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return null;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (now - new Date(saved.savedAt).getTime() > this.maxAgeMs) {
+                log.info('Ignoring stale checkpoint', { savedAt: saved.savedAt });
+                return null;
+            }
+            return { streams: [], commandCooldowns: {}, replyLimits: {}, ...saved };
+        } catch (error) {
+            log.error('Could not read checkpoint', { file: this.filePath, error });
+            return null;
+        }
+    }
+
+    save(state) {
+        if (!this.filePath) return;
+
+        try {
+            writeJsonAtomic(this.filePath, { savedAt: new Date().toISOString(), ...state });
+        } catch (error) {
+            log.error('Could not save checkpoint', { file: this.filePath, error });
+        }
+    }
+}
+
+module.exports = { Checkpoint };
@@ -0,0 +1,276 @@
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'commands' });
+
+// Roles ordered from least to most privileged
+const ROLES = ['everyone', 'member', 'moderator', 'owner'];
+
+// Work out the caller's role from the liveChatMessages authorDetails
+// ownerChannelId names one more owner account; display names are never trusted, anyone can copy one
+function getRole(authorDetails = {}, ownerChannelId = '') {
+    if (authorDetails.isChatOwner) return 'owner';
+    if (ownerChannelId && authorDetails.channelId === ownerChannelId) return 'owner';
+    if (authorDetails.isChatModerator) return 'moderator';
+    if (authorDetails.isChatSponsor) return 'member';
+    return 'everyone';
+}
+
+// Check whether a role satisfies the required role
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required || 'everyone');
+}
+
+// Split an argument string into tokens, keeping "quoted text" together
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+        tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return tokens;
+}
+
+class CommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommandError';
+    }
+}
+
+class CommandRegistry {
+    constructor(options = {}) {
+        this.prefix = options.prefix || '!';
+        this.ownerChannelId = options.ownerChannelId || '';
+        this.commands = new Map();
+        this.aliases = new Map();
+        this.lastUsed = new Map();
+        this.userLastUsed = new Map();
+    }
+
+    // Register a command definition
+    register(definition) {
+        if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+            throw new CommandError('Command definition needs a name');
+        }
+        if (typeof definition.handler !== 'function') {
+            throw new CommandError(`Command "${definition.name}" needs a handler function`);
+        }
+        if (definition.role && !ROLES.includes(definition.role)) {
+            throw new CommandError(`Command "${definition.name}" has unknown role "${definition.role}" (expected ${ROLES.join('/')})`);
+        }
+
+        const name = definition.name.toLowerCase();
+        const command = {
+            name,
+            aliases: (definition.aliases || []).map(alias => alias.toLowerCase()),
+            description: definition.description || '',
+            usage: definition.usage || '',
+            args: definition.args || [],
+            role: definition.role || 'everyone',
+            cooldown: definition.cooldown || 0,         // seconds, shared by everyone
+            userCooldown: definition.userCooldown || 0, // seconds, per caller
+            handler: definition.handler
+        };
+
+        if (this.commands.has(name)) {
+            log.warn('Command is being replaced', { command: name });
+            this.unregister(name);
+        }
+
+        this.commands.set(name, command);
+        for (const alias of command.aliases) {
+            this.aliases.set(alias, name);
+        }
+        return command;
+    }
+
+    // Remove a command and its aliases
+    unregister(name) {
+        const command = this.find(name);
+        if (!command) return false;
+        for (const alias of command.aliases) {
+            this.aliases.delete(alias);
+        }
+        this.commands.delete(command.name);
+        return true;
+    }
+
+    // Look up a command by name or alias
+    find(name) {
+        const key = String(name).toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+    }
+
+    // Check if text looks like a command invocation
+    isCommand(text) {
+        return typeof text === 'string' && text.startsWith(this.prefix) && text.length > this.prefix.length;
+    }
+
+    // Split "!name rest of text" into its parts
+    parse(text) {
+        if (!this.isCommand(text)) return null;
+        const body = text.slice(this.prefix.length).trim();
+        const spaceIndex = body.search(/\s/);
+        const name = (spaceIndex === -1 ? body : body.slice(0, spaceIndex)).toLowerCase();
+        const argString = spaceIndex === -1 ? '' : body.slice(spaceIndex + 1).trim();
+        return { name, argString };
+    }
+
+    // Turn the raw argument string into named arguments
+    parseArgs(command, argString) {
+        const tokens = tokenize(argString);
+        const args = {};
+
+        command.args.forEach((spec, index) => {
+            let value;
+            if (spec.rest) {
+                // Everything from this position on, exactly as typed
+                value = index === 0 ? argString : tokens.slice(index).join(' ');
+                value = value || undefined;
+            } else {
+                value = tokens[index];
+            }
+
+            if (value === undefined) {
+                if (spec.required) {
+                    throw new CommandError(`Missing ${spec.name}`);
+                }
+                value = spec.default;
+            } else if (spec.type === 'number' || spec.type === 'integer') {
+                const parsed = spec.type === 'integer' ? parseInt(value, 10) : parseFloat(value);
+                if (Number.isNaN(parsed)) {
+                    throw new CommandError(`${spec.name} must be a number`);
+                }
+                value = parsed;
+            }
+
+            args[spec.name] = value;
+        });
+
+        return { args, tokens };
+    }
+
+    // Returns seconds left on a cooldown, or 0 if the command can run
+    cooldownRemaining(command, userId, now = Date.now()) {
+        const globalLeft = command.cooldown * 1000 - (now - (this.lastUsed.get(command.name) || 0));
+        const userLeft = command.userCooldown * 1000 - (now - (this.userLastUsed.get(`${command.name}:${userId}`) || 0));
+        return Math.max(0, Math.ceil(Math.max(globalLeft, userLeft) / 1000));
+    }
+
+    // Cooldowns still running, for the restart checkpoint: { global: { name: time }, user: { "name:userId": time } }
+    cooldownState(now = Date.now()) {
+        const running = (entries, seconds) => Object.fromEntries([...entries]
+            .filter(([key, usedAt]) => now - usedAt < seconds(key) * 1000));
+        const command = key => this.commands.get(key.split(':')[0]) || { cooldown: 0, userCooldown: 0 };
+        return {
+            global: running(this.lastUsed, key => command(key).cooldown),
+            user: running(this.userLastUsed, key => command(key).userCooldown)
+        };
+    }
+
+    restoreCooldowns(state = {}) {
+        for (const [key, usedAt] of Object.entries(state.global || {})) this.lastUsed.set(key, usedAt);
+        for (const [key, usedAt] of Object.entries(state.user || {})) this.userLastUsed.set(key, usedAt);
+    }
+
+    // Commands a given role is allowed to run
+    listFor(role) {
+        return [...this.commands.values()].filter(command => hasRole(role, command.role));
+    }
+
+    // Run a command from a chat message, returns the reply text (or null)
+    // Anything in context (e.g. the stream session) is passed through to the handler
+    async execute(message, bot, context = {}) {
+        const text = message.snippet.displayMessage;
+        const parsed = this.parse(text);
+        if (!parsed) return null;
+
+        const command = this.find(parsed.name);
+        if (!command) return null;
+
+        const authorDetails = message.authorDetails || {};
+        const role = getRole(authorDetails, this.ownerChannelId);
+        const userId = authorDetails.channelId || authorDetails.displayName;
+
+        if (!hasRole(role, command.role)) {
+            log.info('Command refused', {
+                command: command.name,
+                author: authorDetails.displayName,
+                authorChannelId: authorDetails.channelId,
+                needs: command.role
+            });
+            return null;
+        }
+
+        // Owner is never held back by cooldowns
+        const now = Date.now();
+        if (role !== 'owner') {
+            const remaining = this.cooldownRemaining(command, userId, now);
+            if (remaining > 0) {
+                log.debug('Command on cooldown', { command: command.name, remainingSeconds: remaining });
+                return null;
+            }
+        }
+
+        let parsedArgs;
+        try {
+            parsedArgs = this.parseArgs(command, parsed.argString);
+        } catch (error) {
+            if (error instanceof CommandError) {
+                return `Usage: ${this.prefix}${command.name}${command.usage ? ' ' + command.usage : ''}`;
+            }
+            throw error;
+        }
+
+        this.lastUsed.set(command.name, now);
+        this.userLastUsed.set(`${command.name}:${userId}`, now);
+
+        try {
+            const reply = await command.handler({
+                ...context,
+                bot,
+                message,
+                command,
+                author: authorDetails.displayName,
+                authorChannelId: authorDetails.channelId,
+                role,
+                args: parsedArgs.args,
+                tokens: parsedArgs.tokens,
+                argString: parsed.argString
+            });
+            return reply || null;
+        } catch (error) {
+            log.error('Command failed', { command: command.name, error });
+            return null;
+        }
+    }
+
+    // Load extra commands from a module outside chatbot.js
+    // The module can export an array of definitions or a function (registry, bot) => void
+    loadModule(modulePath, bot) {
+        const resolved = path.resolve(process.cwd(), modulePath);
+        const exported = require(resolved);
+        const before = this.commands.size;
+
+        if (typeof exported === 'function') {
+            exported(this, bot);
+        } else if (Array.isArray(exported)) {
+            exported.forEach(definition => this.register(definition));
+        } else {
+            throw new CommandError(`Commands module ${modulePath} must export a function or an array`);
+        }
+
+        log.info('Loaded commands module', { modulePath, commands: this.commands.size - before });
+    }
+}
+
+module.exports = {
+    CommandRegistry,
+    CommandError,
+    ROLES,
+    getRole,
+    hasRole,
+    tokenize
+};
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { safeEqual } = require('./router');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'discovery' });
+
+// Every strategy answers the same question: what is the channel streaming (or about to)?
+// check(channelId) resolves to a list of
+//   { videoId, channelId, title, status: 'live' | 'upcoming', scheduledStartTime, liveChatId }
+// or undefined when the check was skipped for lack of quota.
+// Strategies with perChannel = false cover every channel in one call.
+
+const HUB_URL = 'https://pubsubhubbub.appspot.com/subscribe';
+// Feed notifications are a few KB; anything much bigger isn't from the hub
+const MAX_NOTIFICATION_BYTES = 64 * 1024;
+
+// Look up live details for a set of videos (QUOTA: 1 unit)
+async function fetchLiveVideos(bot, videoIds) {
+    if (videoIds.length === 0) return [];
+    if (!bot.canMakeApiCall(1)) return null;
+
+    const response = await bot.youtube.videos.list({
+        part: ['snippet', 'liveStreamingDetails'],
+        id: videoIds,
+        key: bot.config.apiKey,
+        auth: null
+    });
+    bot.trackQuotaUsage(1, 'videos.list');
+
+    return (response.data.items || [])
+        .filter(item => ['live', 'upcoming'].includes(item.snippet.liveBroadcastContent))
+        .map(item => ({
+            videoId: item.id,
+            channelId: item.snippet.channelId,
+            title: item.snippet.title,
+            status: item.snippet.liveBroadcastContent,
+            scheduledStartTime: item.liveStreamingDetails?.scheduledStartTime || null,
+            scheduledEndTime: item.liveStreamingDetails?.scheduledEndTime || null,
+            liveChatId: item.liveStreamingDetails?.activeLiveChatId || null
+        }));
+}
+
+// Live streams first, then upcoming ones by start time
+function sortBroadcasts(broadcasts) {
+    const live = broadcasts.filter(broadcast => broadcast.status === 'live');
+    const upcoming = broadcasts
+        .filter(broadcast => broadcast.status === 'upcoming' && broadcast.scheduledStartTime)
+        .sort((a, b) => new Date(a.scheduledStartTime) - new Date(b.scheduledStartTime));
+    return [...live, ...upcoming];
+}
+
+// search.list with eventType=live (QUOTA: 100 units)
+class SearchDiscovery {
+    constructor(bot) {
+        this.bot = bot;
+        this.name = 'search';
+        this.perChannel = true;
+        this.cost = 100;
+        this.defaultIntervalMs = 30 * 60 * 1000;
+    }
+
+    async check(channelId) {
+        const bot = this.bot;
+        if (!bot.canMakeApiCall(this.cost)) return undefined;
+
+        const response = await bot.youtube.search.list({
+            part: ['snippet'],
+            channelId,
+            eventType: 'live',
+            type: 'video',
+            key: bot.config.apiKey,
+            maxResults: 5,
+            auth: null // Explicitly use API key, not OAuth
+        });
+        bot.trackQuotaUsage(this.cost, 'search.list');
+
+        return (response.data.items || []).map(item => ({
+            videoId: item.id.videoId,
+            channelId: item.snippet.channelId,
+            title: item.snippet.title,
+            status: 'live'
+        }));
+    }
+}
+
+// Newest uploads from the channel's uploads playlist + videos.list (QUOTA: 2 units)
+class UploadsDiscovery {
+    constructor(bot) {
+        this.bot = bot;
+        this.name = 'uploads';
+        this.perChannel = true;
+        this.cost = 2;
+        this.defaultIntervalMs = 5 * 60 * 1000;
+    }
+
+    // Every channel's uploads playlist is its channel ID with UC swapped for UU
+    playlistId(channelId) {
+        return channelId.replace(/^UC/, 'UU');
+    }
+
+    async check(channelId) {
+        const bot = this.bot;
+        if (!bot.canMakeApiCall(this.cost)) return undefined;
+
+        const response = await bot.youtube.playlistItems.list({
+            part: ['contentDetails'],
+            playlistId: this.playlistId(channelId),
+            maxResults: 5,
+            key: bot.config.apiKey,
+            auth: null
+        });
+        bot.trackQuotaUsage(1, 'playlistItems.list');
+
+        const videoIds = (response.data.items || []).map(item => item.contentDetails.videoId);
+        const broadcasts = await fetchLiveVideos(bot, videoIds);
+        return broadcasts ? sortBroadcasts(broadcasts) : undefined;
+    }
+}
+
+// liveBroadcasts.list with mine=true over OAuth (QUOTA: 1 unit)
+class BroadcastsDiscovery {
+    constructor(bot) {
+        this.bot = bot;
+        this.name = 'broadcasts';
+        this.perChannel = false;
+        this.cost = 1;
+        this.defaultIntervalMs = 5 * 60 * 1000;
+    }
+
+    async check() {
+        const bot = this.bot;
+        if (!bot.canMakeApiCall(this.cost)) return undefined;
+
+        const response = await bot.youtube.liveBroadcasts.list({
+            part: ['snippet', 'status'],
+            mine: true,
+            maxResults: 10,
+            auth: bot.oauth2Client
+        });
+        bot.trackQuotaUsage(this.cost, 'liveBroadcasts.list');
+
+        const broadcasts = (response.data.items || [])
+            .map(item => ({
+                videoId: item.id,
+                channelId: item.snippet.channelId,
+                title: item.snippet.title,
+                status: item.status.lifeCycleStatus === 'live' ? 'live'
+                    : ['created', 'ready', 'testing', 'testStarting', 'liveStarting'].includes(item.status.lifeCycleStatus) ? 'upcoming'
+                        : null,
+                scheduledStartTime: item.snippet.scheduledStartTime || null,
+                scheduledEndTime: item.snippet.scheduledEndTime || null,
+                liveChatId: item.snippet.liveChatId || null
+            }))
+            .filter(broadcast => broadcast.status);
+        return sortBroadcasts(broadcasts);
+    }
+}
+
+// WebSub (PubSubHubbub) push notifications for the channel feed
+// Pushes arrive on the status server; each one costs a single videos.list call to confirm.
+class WebSubDiscovery {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.name = 'websub';
+        this.perChannel = false;
+        this.cost = 1;
+        // Pushes do the real work, this is just a safety net
+        this.defaultIntervalMs = 60 * 60 * 1000;
+        this.callbackUrl = options.callbackUrl;
+        this.secret = options.secret || crypto.randomBytes(16).toString('hex');
+        this.leaseSeconds = options.leaseSeconds || 5 * 24 * 60 * 60;
+        this.onNotify = options.onNotify || (() => {});
+        this.pending = new Set();
+        this.known = new Map();
+        this.fallback = new UploadsDiscovery(bot);
+        this.renewTimer = null;
+        this.subscribedUntil = null;
+    }
+
+    topicUrl(channelId) {
+        return `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${channelId}`;
+    }
+
+    // Ask the hub to push channel updates to us, and renew before the lease runs out
+    async start() {
+        if (!this.callbackUrl) {
+            log.warn('WebSub needs a public URL (WEBSUB_CALLBACK_URL), falling back to periodic checks only');
+            return;
+        }
+
+        for (const channelId of this.bot.config.channelIds) {
+            try {
+                await axios.post(HUB_URL, new URLSearchParams({
+                    'hub.mode': 'subscribe',
+                    'hub.topic': this.topicUrl(channelId),
+                    'hub.callback': this.callbackUrl,
+                    'hub.lease_seconds': String(this.leaseSeconds),
+                    'hub.secret': this.secret
+                }).toString(), {
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 10000
+                });
+                log.info('WebSub subscription requested', { channelId });
+            } catch (error) {
+                log.error('WebSub subscription failed', { channelId, error });
+            }
+        }
+
+        clearTimeout(this.renewTimer);
+        this.renewTimer = setTimeout(() => this.start(), (this.leaseSeconds - 60 * 60) * 1000);
+        this.renewTimer.unref();
+    }
+
+    stop() {
+        clearTimeout(this.renewTimer);
+        this.renewTimer = null;
+    }
+
+    // HTTP handler for the hub's verification GET and notification POST
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET') {
+            const topic = url.searchParams.get('hub.topic');
+            const challenge = url.searchParams.get('hub.challenge');
+            const topics = this.bot.config.channelIds.map(channelId => this.topicUrl(channelId));
+            if (!topics.includes(topic) || !challenge) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            const lease = parseInt(url.searchParams.get('hub.lease_seconds'), 10);
+            if (lease) {
+                this.subscribedUntil = new Date(Date.now() + lease * 1000);
+            }
+            log.info('WebSub request verified', { mode: url.searchParams.get('hub.mode') });
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(challenge);
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end();
+            return;
+        }
+
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_NOTIFICATION_BYTES && !res.headersSent) {
+                log.warn('Dropping oversized WebSub request');
+                res.writeHead(413, { Connection: 'close' });
+                res.end();
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (res.headersSent) return;
+
+            // Whatever the header holds, a bad signature is a 403, never an exception
+            let verified = false;
+            try {
+                const expected = 'sha1=' + crypto.createHmac('sha1', this.secret).update(body).digest('hex');
+                verified = safeEqual(req.headers['x-hub-signature'] || '', expected);
+            } catch (error) {
+                log.warn('Could not check WebSub signature', { error });
+            }
+            if (!verified) {
+                log.warn('Ignoring WebSub notification with a bad signature');
+                res.writeHead(403);
+                res.end();
+                return;
+            }
+            res.writeHead(204);
+            res.end();
+
+            const videoIds = [...body.matchAll(/<yt:videoId>([^<]+)<\/yt:videoId>/g)].map(match => match[1]);
+            if (videoIds.length === 0) return;
+
+            videoIds.forEach(videoId => this.pending.add(videoId));
+            log.info('WebSub notification', { videoIds });
+            this.onNotify(videoIds);
+        });
+    }
+
+    // Confirm pushed videos (and re-check ones we already know) with one videos.list
+    // With nothing pushed yet, fall back to the uploads playlists so a stream that
+    // was already live when we started is still found
+    async check() {
+        const videoIds = [...new Set([...this.pending, ...this.known.keys()])].slice(0, 50);
+        let broadcasts = [];
+        if (videoIds.length === 0) {
+            for (const channelId of this.bot.config.channelIds) {
+                const found = await this.fallback.check(channelId);
+                if (found === undefined) return undefined;
+                broadcasts.push(...found);
+            }
+        } else {
+            broadcasts = await fetchLiveVideos(this.bot, videoIds);
+            if (!broadcasts) return undefined;
+        }
+
+        this.pending.clear();
+        this.known = new Map(broadcasts.map(broadcast => [broadcast.videoId, broadcast]));
+        return sortBroadcasts(broadcasts);
+    }
+}
+
+const STRATEGIES = {
+    search: SearchDiscovery,
+    uploads: UploadsDiscovery,
+    broadcasts: BroadcastsDiscovery,
+    websub: WebSubDiscovery
+};
+
+function createDiscovery(name, bot, options = {}) {
+    const Strategy = STRATEGIES[name];
+    if (!Strategy) {
+        throw new Error(`Unknown stream discovery strategy "${name}" (expected ${Object.keys(STRATEGIES).join('/')})`);
+    }
+    return new Strategy(bot, options);
+}
+
+// How long to wait before the next check
+//   - soon when a scheduled stream is about to start
+//   - the strategy's normal pace during streaming hours or while live
+//   - rarely otherwise
+function nextCheckDelay({ baseIntervalMs, scheduledStartTime, isStreamingTime, isLive, now = Date.now() }) {
+    if (scheduledStartTime) {
+        const untilStart = new Date(scheduledStartTime).getTime() - now;
+        if (untilStart <= 15 * 60 * 1000) {
+            return Math.min(baseIntervalMs, 60 * 1000);
+        }
+        if (untilStart <= 60 * 60 * 1000) {
+            return Math.min(baseIntervalMs, 5 * 60 * 1000);
+        }
+        // Wake up a quarter of an hour before it starts
+        return Math.min(untilStart - 15 * 60 * 1000, Math.max(baseIntervalMs, 2 * 60 * 60 * 1000));
+    }
+    if (isLive || isStreamingTime) {
+        return baseIntervalMs;
+    }
+    return Math.max(baseIntervalMs, 2 * 60 * 60 * 1000);
+}
+
+module.exports = {
+    createDiscovery,
+    nextCheckDelay,
+    fetchLiveVideos,
+    SearchDiscovery,
+    UploadsDiscovery,
+    BroadcastsDiscovery,
+    WebSubDiscovery,
+    STRATEGIES
+};
@@ -0,0 +1,60 @@
+// Server-Sent Events fan-out for the dashboard
+class EventStream {
+    constructor(options = {}) {
+        this.clients = new Set();
+        this.heartbeatMs = options.heartbeatMs || 25000;
+        this.heartbeat = null;
+    }
+
+    // Attach a client; snapshot is sent first so the page has something to show
+    add(req, res, snapshot) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+        this.clients.add(res);
+
+        if (snapshot) {
+            this.write(res, 'snapshot', snapshot);
+        }
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            if (this.clients.size === 0) this.stopHeartbeat();
+        });
+
+        // Comments keep proxies from closing idle connections
+        if (!this.heartbeat) {
+            this.heartbeat = setInterval(() => {
+                for (const client of this.clients) client.write(': ping\n\n');
+            }, this.heartbeatMs);
+            this.heartbeat.unref();
+        }
+    }
+
+    write(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    broadcast(event, data) {
+        for (const client of this.clients) {
+            this.write(client, event, data);
+        }
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    close() {
+        for (const client of this.clients) client.end();
+        this.clients.clear();
+        this.stopHeartbeat();
+    }
+}
+
+module.exports = { EventStream };
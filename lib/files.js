@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+// Optional JSON config file: { resolved, settings }, with settings {} when there is no file
+// A file that doesn't parse throws "Invalid <label> config <path>: ..."
+function readConfigFile(filePath, label) {
+    const resolved = path.resolve(process.cwd(), filePath);
+    if (!fs.existsSync(resolved)) return { resolved, settings: {} };
+
+    try {
+        return { resolved, settings: JSON.parse(fs.readFileSync(resolved, 'utf8')) };
+    } catch (error) {
+        throw new Error(`Invalid ${label} config ${resolved}: ${error.message}`);
+    }
+}
+
+// Write then rename so a crash never leaves a half-written file behind
+function writeJsonAtomic(filePath, data, options = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), options);
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { readConfigFile, writeJsonAtomic };
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// Keyword giveaways: viewers type the keyword to enter, the owner or a moderator draws
+class GiveawayManager {
+    constructor() {
+        this.giveaways = new Map();
+    }
+
+    get(streamKey) {
+        return this.giveaways.get(streamKey) || null;
+    }
+
+    // rules: { membersOnly, minPoints }
+    start(streamKey, { keyword, membersOnly = false, minPoints = 0 }) {
+        if (this.giveaways.has(streamKey)) {
+            throw new Error('A giveaway is already running');
+        }
+        const giveaway = {
+            keyword: keyword.toLowerCase(),
+            membersOnly,
+            minPoints,
+            entrants: new Map(),
+            winners: [],
+            startedAt: Date.now()
+        };
+        this.giveaways.set(streamKey, giveaway);
+        return giveaway;
+    }
+
+    isEntry(streamKey, text) {
+        const giveaway = this.giveaways.get(streamKey);
+        return Boolean(giveaway) && text.trim().toLowerCase() === giveaway.keyword;
+    }
+
+    // Returns true when the viewer was entered (false if already in or not eligible)
+    enter(streamKey, { channelId, displayName, isMember = false, points = 0 }) {
+        const giveaway = this.giveaways.get(streamKey);
+        if (!giveaway || giveaway.entrants.has(channelId)) return false;
+        if (giveaway.membersOnly && !isMember) return false;
+        if (points < giveaway.minPoints) return false;
+
+        giveaway.entrants.set(channelId, displayName);
+        return true;
+    }
+
+    // Pick a winner from the entrants who haven't won yet (null when nobody is left)
+    draw(streamKey) {
+        const giveaway = this.giveaways.get(streamKey);
+        if (!giveaway) return null;
+
+        const remaining = [...giveaway.entrants.entries()]
+            .filter(([channelId]) => !giveaway.winners.some(winner => winner.channelId === channelId));
+        if (remaining.length === 0) return null;
+
+        const [channelId, displayName] = remaining[crypto.randomInt(remaining.length)];
+        const winner = { channelId, displayName };
+        giveaway.winners.push(winner);
+        return winner;
+    }
+
+    end(streamKey) {
+        const giveaway = this.giveaways.get(streamKey) || null;
+        this.giveaways.delete(streamKey);
+        return giveaway;
+    }
+}
+
+module.exports = { GiveawayManager };
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendJson, readJsonBody, safeEqual } = require('./router');
+const { reportToCsv } = require('./session-recorder');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'http' });
+
+const DASHBOARD_FILE = path.join(__dirname, '..', 'public', 'dashboard.html');
+
+// Routes served by the status server
+function registerRoutes(router, bot) {
+    // Public status and health
+    router.get('/', (req, res) => sendJson(res, 200, bot.getStatus()));
+    router.get('/status', (req, res) => sendJson(res, 200, bot.getStatus()));
+
+    // Prometheus scrape endpoint
+    router.get('/metrics', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(bot.metrics.registry.render());
+    });
+
+    router.get('/healthz', (req, res) => sendJson(res, 200, { ok: true, uptime: process.uptime() }));
+
+    router.get('/readyz', (req, res) => {
+        const problems = [];
+        if (!bot.monitoring) problems.push('monitoring is stopped');
+        if (bot.quota.remaining <= 0) problems.push('daily quota exhausted');
+        sendJson(res, problems.length === 0 ? 200 : 503, { ready: problems.length === 0, problems });
+    });
+
+    // Moderator dashboard; the page itself is public, its data needs the control token
+    router.get('/dashboard', (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        fs.createReadStream(DASHBOARD_FILE).pipe(res);
+    });
+
+    router.get('/events', (req, res) => {
+        bot.events.add(req, res, {
+            status: bot.getStatus(),
+            recentChat: bot.recentChat,
+            recentErrors: bot.recentErrors
+        });
+    }, { auth: true, queryToken: true });
+
+    // Loyalty points export (viewer channel IDs, so behind the control token)
+    router.get('/loyalty', (req, res) => {
+        if (!bot.loyalty) {
+            throw new HttpError(404, 'Loyalty points are disabled');
+        }
+        sendJson(res, 200, bot.loyalty.toJSON());
+    }, { auth: true });
+
+    // Post-stream reports (top chatters include channel IDs, so behind the control token)
+    router.get('/reports', (req, res) => {
+        sendJson(res, 200, { reports: bot.recorder.listReports() });
+    }, { auth: true });
+
+    const findReport = videoId => {
+        const report = bot.recorder.getReport(videoId);
+        if (!report) {
+            throw new HttpError(404, `No report for ${videoId}`);
+        }
+        return report;
+    };
+
+    router.get('/reports/:videoId', (req, res, { params }) => {
+        sendJson(res, 200, findReport(params.videoId));
+    }, { auth: true });
+
+    router.get('/reports/:videoId/csv', (req, res, { params }) => {
+        const report = findReport(params.videoId);
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${report.videoId}-report.csv"`
+        });
+        res.end(reportToCsv(report));
+    }, { auth: true });
+
+    // OAuth authorization flow
+    router.get('/auth', (req, res, { query }) => {
+        // Without a token anyone could connect their own account to the bot
+        const setupToken = bot.config.authSetupToken || bot.config.controlApiToken;
+        if (!setupToken) {
+            throw new HttpError(403, 'OAuth setup is disabled (set AUTH_SETUP_TOKEN or CONTROL_API_TOKEN)');
+        }
+        if (!query.has('token') || !safeEqual(query.get('token'), setupToken)) {
+            throw new HttpError(403, 'Invalid or missing token');
+        }
+        res.writeHead(302, { Location: bot.oauth.getAuthUrl() });
+        res.end();
+    });
+
+    router.get('/auth/status', async (req, res) => {
+        // Fresh check (costs no YouTube quota, but it does call Google)
+        await bot.oauth.verify();
+        sendJson(res, 200, bot.oauth.status());
+    }, { auth: true });
+
+    router.get('/oauth2callback', async (req, res, { query }) => {
+        try {
+            const check = await bot.oauth.handleCallback({
+                code: query.get('code'),
+                state: query.get('state'),
+                error: query.get('error')
+            });
+            bot.resolveBotChannel();
+            sendJson(res, 200, { authorized: true, writeAccess: check.writeAccess, error: check.error });
+        } catch (error) {
+            log.error('OAuth callback failed', { error });
+            sendJson(res, 400, { authorized: false, error: error.message });
+        }
+    });
+
+    // WebSub hub verification and push notifications
+    if (bot.discovery.handleRequest) {
+        router.get('/websub', (req, res) => bot.discovery.handleRequest(req, res));
+        router.post('/websub', (req, res) => bot.discovery.handleRequest(req, res));
+    }
+
+    // Control API (bearer token from CONTROL_API_TOKEN)
+    router.post('/control/start', (req, res) => {
+        if (bot.monitoring) {
+            throw new HttpError(409, 'Already monitoring');
+        }
+        bot.startContinuousMonitoring().catch(error => log.error('Could not start monitoring', { error }));
+        sendJson(res, 202, { monitoring: true });
+    }, { auth: true });
+
+    router.post('/control/stop', async (req, res) => {
+        if (!bot.monitoring) {
+            throw new HttpError(409, 'Not monitoring');
+        }
+        await bot.stopMonitoring();
+        sendJson(res, 200, { monitoring: false });
+    }, { auth: true });
+
+    router.post('/control/check', async (req, res) => {
+        if (!bot.monitoring) {
+            throw new HttpError(409, 'Not monitoring - start it first');
+        }
+        await bot.runStreamCheck();
+        sendJson(res, 200, { streams: [...bot.streams.values()].map(session => session.toJSON()) });
+    }, { auth: true });
+
+    router.post('/control/message', async (req, res) => {
+        const body = await readJsonBody(req);
+        const text = typeof body.text === 'string' ? body.text.trim() : '';
+        if (!text) {
+            throw new HttpError(400, '"text" is required');
+        }
+
+        let liveChatId = bot.getDefaultLiveChatId();
+        if (body.videoId) {
+            const session = bot.streams.get(body.videoId);
+            if (!session) {
+                throw new HttpError(404, `Not monitoring stream ${body.videoId}`);
+            }
+            liveChatId = session.liveChatId;
+        }
+
+        const sent = await bot.sendMessage(text, liveChatId);
+        sendJson(res, sent ? 200 : 503, { sent });
+    }, { auth: true });
+
+    router.put('/control/rate-limit', async (req, res) => {
+        const body = await readJsonBody(req);
+        const changes = {};
+
+        for (const key of ['expectedRepliesPerHour', 'minReplyIntervalMs']) {
+            if (body[key] === undefined) continue;
+            if (typeof body[key] !== 'number' || body[key] < 0) {
+                throw new HttpError(400, `"${key}" must be a non-negative number`);
+            }
+            changes[key] = body[key];
+        }
+        if (Object.keys(changes).length === 0) {
+            throw new HttpError(400, 'Nothing to change (expectedRepliesPerHour, minReplyIntervalMs)');
+        }
+
+        bot.setReplyRateLimit(changes);
+        sendJson(res, 200, { budget: bot.config.budget });
+    }, { auth: true });
+
+    router.post('/control/reload', (req, res) => {
+        sendJson(res, 200, bot.reloadConfig());
+    }, { auth: true });
+}
+
+module.exports = { registerRoutes };
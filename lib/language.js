@@ -0,0 +1,101 @@
+// Offline language detection tuned for short chat messages.
+// Non-Latin scripts decide the language outright; Latin text is scored on common words
+// and telltale letters. Anything too short or too ambiguous returns null so the caller
+// can fall back to the channel's default locale.
+
+// Checked in order: Japanese uses Han characters too, so kana has to win first
+const SCRIPTS = [
+    { locale: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+    { locale: 'ko', pattern: /\p{Script=Hangul}/u },
+    { locale: 'zh', pattern: /\p{Script=Han}/u },
+    { locale: 'uk', pattern: /[іїєґІЇЄҐ]/u },
+    { locale: 'ru', pattern: /\p{Script=Cyrillic}/u },
+    { locale: 'ar', pattern: /\p{Script=Arabic}/u },
+    { locale: 'he', pattern: /\p{Script=Hebrew}/u },
+    { locale: 'hi', pattern: /\p{Script=Devanagari}/u },
+    { locale: 'th', pattern: /\p{Script=Thai}/u },
+    { locale: 'el', pattern: /\p{Script=Greek}/u }
+];
+
+// Frequent words per language, chat slang included
+const COMMON_WORDS = {
+    en: 'the and is are you your that this it what was for with have not my so just lol good nice hello hi hey thanks thank play game guys love',
+    es: 'el la los las que de y es en un una por para con no muy pero hola gracias qué como cómo está jugada bien buenas buenos eso jaja vamos',
+    pt: 'o os as que de e é um uma não muito mas com para olá oi obrigado obrigada você tudo bem jogo boa bom kkk vamo tá',
+    fr: 'le la les et est un une des pas que je tu il vous pour avec bonjour salut merci très c\'est trop bien mdr oui',
+    de: 'der die das und ist nicht ein eine ich du mit auf hallo danke sehr gut was wie geil spiel moin servus ja',
+    it: 'il lo la gli che di e è un una non per con ciao grazie molto bello sono come bravo dai',
+    nl: 'de het een en is niet ik je van dat hallo dank goed heel wat hoi leuk',
+    id: 'yang dan ini itu tidak aku kamu ada apa halo terima kasih mantap bang keren wkwk',
+    tr: 've bir bu da de ne çok için merhaba selam teşekkürler güzel var yok abi'
+};
+
+// Letters that only (or mostly) show up in one language
+const LETTER_HINTS = [
+    { locale: 'es', pattern: /[ñ¿¡]/u },
+    { locale: 'pt', pattern: /[ãõ]/u },
+    { locale: 'de', pattern: /[ßäöü]/u },
+    { locale: 'fr', pattern: /[èêëœù]/u },
+    { locale: 'tr', pattern: /[ğış]/u }
+];
+
+const WORD_SETS = Object.fromEntries(
+    Object.entries(COMMON_WORDS).map(([locale, words]) => [locale, new Set(words.split(' '))])
+);
+
+// Primary language subtag, lower case: "pt-BR" -> "pt"
+function baseLocale(locale) {
+    return String(locale || '').toLowerCase().split(/[-_]/)[0];
+}
+
+// Guess the language of a message: { locale, confidence } or null when unsure
+function detectLanguage(text) {
+    const normalized = String(text || '').normalize('NFKC').toLowerCase();
+
+    for (const { locale, pattern } of SCRIPTS) {
+        if (pattern.test(normalized)) return { locale, confidence: 1 };
+    }
+
+    const words = normalized.match(/[\p{L}']+/gu) || [];
+    if (words.length === 0) return null;
+
+    const scores = new Map();
+    for (const word of words) {
+        for (const [locale, set] of Object.entries(WORD_SETS)) {
+            if (set.has(word)) scores.set(locale, (scores.get(locale) || 0) + 1);
+        }
+    }
+    for (const { locale, pattern } of LETTER_HINTS) {
+        if (pattern.test(normalized)) scores.set(locale, (scores.get(locale) || 0) + 1);
+    }
+
+    const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) return null;
+
+    // A tie means we can't tell (e.g. "de" is Spanish, Portuguese and Dutch)
+    const [best, runnerUp] = ranked;
+    if (runnerUp && runnerUp[1] === best[1]) return null;
+    return { locale: best[0], confidence: Math.min(1, best[1] / words.length) };
+}
+
+// Canonical form used for trigger matching: NFKC, lower case, accents, emoji and curly
+// apostrophes removed ("Ｈｏｌá👋" -> "hola"), so a rule matches however the viewer typed it
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u200D\uFE0E\uFE0F\u20E3]/gu, ' ')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\u2018\u2019\u02BC]/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Literal text for use inside a RegExp (bot names, trigger words)
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { detectLanguage, normalizeText, baseLocale, escapeRegex };
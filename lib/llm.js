@@ -0,0 +1,171 @@
+const axios = require('axios');
+const { escapeRegex } = require('./language');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'ai' });
+
+// YouTube rejects chat messages longer than this
+const MAX_CHAT_LENGTH = 200;
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Ollama, llama.cpp, vLLM...)
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey || '';
+        this.model = options.model || 'llama3.2';
+        this.temperature = options.temperature ?? 0.8;
+        this.maxTokens = options.maxTokens || 80;
+    }
+
+    async complete(messages, { timeoutMs }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages,
+            temperature: this.temperature,
+            max_tokens: this.maxTokens
+        }, { headers, timeout: timeoutMs });
+
+        const choice = response.data.choices && response.data.choices[0];
+        return choice && choice.message ? choice.message.content : null;
+    }
+}
+
+// Deterministic provider for tests and offline runs
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.replies = options.replies || null;
+        this.delayMs = options.delayMs || 0;
+        this.calls = [];
+    }
+
+    async complete(messages) {
+        this.calls.push(messages);
+        if (this.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+        if (this.replies) {
+            return this.replies[(this.calls.length - 1) % this.replies.length];
+        }
+        const last = messages[messages.length - 1];
+        return `Mock reply to: ${last.content}`;
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+function createProvider(name, options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown AI provider "${name}" (expected ${Object.keys(PROVIDERS).join('/')})`);
+    }
+    return new Provider(options);
+}
+
+// Squash whitespace and cut to the chat limit on a word boundary
+function fitToChat(text, maxLength = MAX_CHAT_LENGTH) {
+    const clean = String(text || '')
+        .replace(/\s+/g, ' ')
+        .replace(/^["']|["']$/g, '')
+        .trim();
+    const chars = Array.from(clean);
+    if (chars.length <= maxLength) return clean;
+
+    const cut = chars.slice(0, maxLength - 1).join('');
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd() + '…';
+}
+
+// Builds prompts, keeps recent chat per stream and enforces timeout and length
+class LlmResponder {
+    constructor(options) {
+        this.provider = options.provider;
+        this.botName = options.botName;
+        this.extraPrompt = options.systemPrompt || '';
+        this.maxLength = options.maxLength || MAX_CHAT_LENGTH;
+        this.timeoutMs = options.timeoutMs || 8000;
+        this.contextSize = options.contextSize || 12;
+        this.contexts = new Map();
+        this.addressPattern = new RegExp(`(^|[^\\p{L}\\p{N}_])@?${escapeRegex(this.botName)}(?![\\p{L}\\p{N}_])`, 'iu');
+    }
+
+    // Only reply when someone talks to the bot by name
+    isAddressed(text) {
+        return this.addressPattern.test(text);
+    }
+
+    // Remember a line of chat (role 'user') or a bot reply (role 'assistant')
+    addContext(streamKey, author, text, role = 'user') {
+        const context = this.contexts.get(streamKey) || [];
+        context.push({ role, content: role === 'user' ? `${author}: ${text}` : text });
+        while (context.length > this.contextSize) context.shift();
+        this.contexts.set(streamKey, context);
+    }
+
+    clearContext(streamKey) {
+        this.contexts.delete(streamKey);
+    }
+
+    buildSystemPrompt(streamTitle) {
+        const lines = [
+            `You are ${this.botName}, a friendly bot in a YouTube live stream chat.`,
+            streamTitle ? `The stream is called "${streamTitle}".` : '',
+            `Reply in one short, casual chat message of at most ${this.maxLength} characters.`,
+            'No hashtags, no links, never claim to be human.',
+            this.extraPrompt
+        ];
+        return lines.filter(Boolean).join(' ');
+    }
+
+    // Resolves to a chat-ready reply, or null on error/timeout so the caller can fall back
+    async respond({ streamKey, author, text, streamTitle }) {
+        const history = (this.contexts.get(streamKey) || []).slice();
+        // The message being answered goes last, even if it was already recorded
+        const latest = `${author}: ${text}`;
+        if (history.length && history[history.length - 1].content === latest) {
+            history.pop();
+        }
+
+        const messages = [
+            { role: 'system', content: this.buildSystemPrompt(streamTitle) },
+            ...history,
+            { role: 'user', content: latest }
+        ];
+
+        let timer;
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+            });
+            const reply = await Promise.race([
+                this.provider.complete(messages, { timeoutMs: this.timeoutMs }),
+                timeout
+            ]);
+            const fitted = fitToChat(reply, this.maxLength);
+            return fitted || null;
+        } catch (error) {
+            log.warn('AI reply failed, using canned responses', { provider: this.provider.name, error });
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = {
+    LlmResponder,
+    OpenAICompatibleProvider,
+    MockProvider,
+    createProvider,
+    fitToChat,
+    MAX_CHAT_LENGTH
+};
@@ -0,0 +1,118 @@
+// Leveled logger writing one JSON object per line (or a readable line for terminals)
+//   log.info('Connected to live chat', { videoId, liveChatId })
+// Modules take a child logger with their component name. Settings come from LOG_LEVEL,
+// LOG_FORMAT and LOG_REDACT_CHAT and are shared by every logger.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Never written out, whatever the settings
+const SECRET_KEY = /^(token|tokens|access_?token|refresh_?token|id_?token|secret|client_?secret|password|api_?key|authorization|credentials)$/i;
+// Viewer-written text, hidden when redactChat is on
+const CHAT_FIELDS = ['text', 'reply', 'comment'];
+
+const settings = {
+    level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+    // json, or pretty (one readable line per entry) - defaults to pretty in a terminal
+    format: process.env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json'),
+    // Hide what viewers wrote (chat text, replies, Super Chat comments)
+    redactChat: process.env.LOG_REDACT_CHAT === 'true'
+};
+
+// Change the shared settings (every logger follows them)
+function configure(changes = {}) {
+    Object.assign(settings, changes);
+    if (!LEVELS[settings.level]) settings.level = 'info';
+}
+
+// Just the useful parts of an error, including YouTube API details
+function errorFields(error) {
+    const apiError = error.response && error.response.data && error.response.data.error;
+    const reason = (error.errors && error.errors[0] && error.errors[0].reason) ||
+        (apiError && apiError.errors && apiError.errors[0] && apiError.errors[0].reason);
+    return {
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.response ? { status: error.response.status } : {}),
+        ...(reason ? { reason } : {})
+    };
+}
+
+function redact(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        if (SECRET_KEY.test(key)) {
+            result[key] = '[redacted]';
+        } else if (settings.redactChat && CHAT_FIELDS.includes(key)) {
+            result[key] = '[redacted]';
+        } else if (value instanceof Error) {
+            result[key] = errorFields(value);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const extra = Object.entries(fields)
+        .map(([key, value]) => {
+            if (typeof value !== 'string') return `${key}=${JSON.stringify(value)}`;
+            return `${key}=${/[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value}`;
+        })
+        .join(' ');
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+class Logger {
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    // Logger that adds these fields to every entry (e.g. { component: 'quota' } or { videoId })
+    child(fields) {
+        return new Logger({ ...this.bindings, ...fields });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[settings.level];
+    }
+
+    write(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...redact({ ...this.bindings, ...fields })
+        };
+        const line = settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+
+        // Through console so stdout/stderr stay as they were (warnings and errors on stderr)
+        if (level === 'error') console.error(line);
+        else if (level === 'warn') console.warn(line);
+        else console.log(line);
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+}
+
+const logger = new Logger();
+
+module.exports = { logger, configure, Logger, LEVELS, errorFields, settings };
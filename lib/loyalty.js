@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./files');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'loyalty' });
+
+// Viewer points and watch time, keyed by YouTube channel ID and persisted across streams
+class LoyaltyStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath ? path.resolve(process.cwd(), options.filePath) : null;
+        this.pointsPerMessage = options.pointsPerMessage ?? 1;
+        this.pointsPerMinute = options.pointsPerMinute ?? 1;
+        this.memberMultiplier = options.memberMultiplier ?? 2;
+        this.superChatBonus = options.superChatBonus ?? 100;
+        // Only one chat message every this often earns message points
+        this.messageCooldownMs = options.messageCooldownMs ?? 60 * 1000;
+        // A viewer counts as watching until they've been quiet this long
+        this.presenceWindowMs = options.presenceWindowMs ?? 10 * 60 * 1000;
+        this.saveDelayMs = options.saveDelayMs ?? 5000;
+
+        this.viewers = new Map();
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const viewer of saved.viewers || []) {
+                this.viewers.set(viewer.channelId, viewer);
+            }
+            log.info('Restored loyalty points', { viewers: this.viewers.size });
+        } catch (error) {
+            log.error('Could not read loyalty points', { file: this.filePath, error });
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.filePath) return;
+
+        try {
+            writeJsonAtomic(this.filePath, this.toJSON());
+        } catch (error) {
+            log.error('Could not save loyalty points', { file: this.filePath, error });
+        }
+    }
+
+    // Chat can be busy, so batch writes instead of saving on every message
+    scheduleSave() {
+        if (this.saveTimer || !this.filePath) return;
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+        this.saveTimer.unref();
+    }
+
+    get(channelId) {
+        return this.viewers.get(channelId) || null;
+    }
+
+    // Latest viewer seen with this display name (for !give @name)
+    findByName(name) {
+        const wanted = name.replace(/^@/, '').toLowerCase();
+        let found = null;
+        for (const viewer of this.viewers.values()) {
+            if (viewer.displayName.toLowerCase() !== wanted) continue;
+            if (!found || viewer.lastSeen > found.lastSeen) found = viewer;
+        }
+        return found;
+    }
+
+    ensure(channelId, displayName, now) {
+        let viewer = this.viewers.get(channelId);
+        const isNew = !viewer;
+        if (isNew) {
+            viewer = {
+                channelId,
+                displayName,
+                points: 0,
+                messages: 0,
+                watchMs: 0,
+                streams: 0,
+                superChats: 0,
+                firstSeen: new Date(now).toISOString(),
+                lastSeen: now,
+                lastStream: null,
+                lastMessagePoints: 0
+            };
+            this.viewers.set(channelId, viewer);
+        }
+        // Display names can change, the channel ID can't
+        viewer.displayName = displayName;
+        return { viewer, isNew };
+    }
+
+    // Count a chat message, returns { viewer, isNew } (isNew = first message ever)
+    recordChat({ channelId, displayName, isMember = false, streamId = null, live = true, now = Date.now() }) {
+        const { viewer, isNew } = this.ensure(channelId, displayName, now);
+        const multiplier = isMember ? this.memberMultiplier : 1;
+
+        viewer.messages += 1;
+        if (streamId && viewer.lastStream !== streamId) {
+            viewer.streams += 1;
+            viewer.lastStream = streamId;
+        } else if (live && now - viewer.lastSeen <= this.presenceWindowMs) {
+            // Time since their last message in this stream counts as watched
+            const watched = now - viewer.lastSeen;
+            const minutesBefore = Math.floor(viewer.watchMs / 60000);
+            viewer.watchMs += watched;
+            const minutesEarned = Math.floor(viewer.watchMs / 60000) - minutesBefore;
+            viewer.points += minutesEarned * this.pointsPerMinute * multiplier;
+        }
+
+        if (live && now - viewer.lastMessagePoints >= this.messageCooldownMs) {
+            viewer.points += this.pointsPerMessage * multiplier;
+            viewer.lastMessagePoints = now;
+        }
+
+        viewer.lastSeen = now;
+        this.scheduleSave();
+        return { viewer, isNew };
+    }
+
+    // Bonus for a Super Chat or Super Sticker
+    recordSuperChat({ channelId, displayName, now = Date.now() }) {
+        const { viewer } = this.ensure(channelId, displayName, now);
+        viewer.superChats += 1;
+        viewer.points += this.superChatBonus;
+        this.scheduleSave();
+        return viewer;
+    }
+
+    // Owner adjustments; points never go below zero
+    adjust(channelId, delta) {
+        const viewer = this.viewers.get(channelId);
+        if (!viewer) return null;
+        viewer.points = Math.max(0, viewer.points + delta);
+        this.scheduleSave();
+        return viewer;
+    }
+
+    top(limit = 5) {
+        return [...this.viewers.values()]
+            .sort((a, b) => b.points - a.points || a.firstSeen.localeCompare(b.firstSeen))
+            .slice(0, limit);
+    }
+
+    rank(channelId) {
+        const index = this.top(this.viewers.size).findIndex(viewer => viewer.channelId === channelId);
+        return index === -1 ? null : index + 1;
+    }
+
+    toJSON() {
+        return {
+            updatedAt: new Date().toISOString(),
+            viewers: this.top(this.viewers.size)
+        };
+    }
+}
+
+module.exports = { LoyaltyStore };
@@ -0,0 +1,153 @@
+// Just enough of a Prometheus client for /metrics: counters, gauges and histograms with
+// labels, rendered in the text exposition format (version 0.0.4)
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    // Series key with the labels in declared order (missing labels become "")
+    labelsFor(labels = {}) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    key(labels) {
+        return JSON.stringify(this.labelNames.map(name => labels[name]));
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const full = this.labelsFor(labels);
+        const key = this.key(full);
+        const current = this.values.get(key) || { labels: full, value: 0 };
+        current.value += amount;
+        this.values.set(key, current);
+    }
+
+    lines() {
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+// collect(gauge) runs before every scrape, for values that are cheaper to read than to track
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels = {}, value) {
+        const full = this.labelsFor(labels);
+        this.values.set(this.key(full), { labels: full, value });
+    }
+
+    lines() {
+        if (this.collect) {
+            this.reset();
+            this.collect(this);
+        }
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const full = this.labelsFor(labels);
+        const key = this.key(full);
+        const series = this.values.get(key) || { labels: full, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+        this.values.set(key, series);
+    }
+
+    lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // Everything in Prometheus text format
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.header(), ...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram };
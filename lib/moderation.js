@@ -0,0 +1,217 @@
+const { readConfigFile } = require('./files');
+const { getRole } = require('./commands');
+const { escapeRegex } = require('./language');
+
+// Escalation steps, from mildest to harshest
+const ACTIONS = ['warn', 'delete', 'timeout', 'ban'];
+
+const DEFAULTS = {
+    enabled: true,
+    // Repeated / flooded messages
+    repeatLimit: 3,             // same text this many times...
+    repeatWindowSeconds: 60,    // ...inside this window
+    floodLimit: 6,              // any messages this many times...
+    floodWindowSeconds: 10,     // ...inside this window
+    // Shouting and emoji walls
+    capsMinLetters: 12,
+    capsRatio: 0.7,
+    maxEmoji: 10,
+    // Links are only allowed from members and up
+    blockLinks: true,
+    allowedDomains: ['youtube.com', 'youtu.be'],
+    // Blocklist (whole words, case-insensitive)
+    bannedWords: [],
+    // Strikes reset after this long without a new violation
+    strikeWindowMinutes: 30,
+    // Permanent bans are left to people unless a config adds 'ban' here
+    escalation: ['warn', 'delete', 'timeout'],
+    timeoutSeconds: 300,
+    warnMessage: '@{author} please keep it chill: {reason}'
+};
+
+// Violations that skip straight past a chat warning
+const MINIMUM_ACTION = {
+    bannedWord: 'delete',
+    link: 'delete'
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|tv|ly|co|me|xyz|ru|link|info)(?:\/[^\s]*)?\b/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+// Host name of a link found in chat, null if it doesn't parse
+function linkHost(link) {
+    try {
+        return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+// The domain itself or one of its subdomains (www.youtube.com), never youtube.com.evil.ru
+function isAllowedHost(host, domains) {
+    return Boolean(host) && domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+class Moderator {
+    constructor(options = {}) {
+        this.settings = { ...DEFAULTS, ...options };
+        this.ownerChannelId = options.ownerChannelId || '';
+        this.users = new Map();
+        this.log = [];
+        this.compileBlocklist();
+    }
+
+    // Build settings from the optional config file plus environment overrides
+    static fromFile(filePath, overrides = {}) {
+        const { resolved, settings: fileSettings } = readConfigFile(filePath, 'moderation');
+
+        const settings = { ...fileSettings, ...overrides };
+        const unknown = (settings.escalation || []).filter(action => !ACTIONS.includes(action));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid moderation config ${resolved}: unknown escalation action(s) ${unknown.join(', ')}`);
+        }
+        return new Moderator(settings);
+    }
+
+    compileBlocklist() {
+        const words = this.settings.bannedWords.filter(Boolean);
+        this.blocklist = words.length > 0
+            ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`, 'iu')
+            : null;
+    }
+
+    userState(channelId) {
+        if (!this.users.has(channelId)) {
+            this.users.set(channelId, { messages: [], strikes: 0, lastStrike: 0 });
+        }
+        return this.users.get(channelId);
+    }
+
+    // Find everything wrong with a message
+    findViolations(text, role, state, now) {
+        const violations = [];
+        const s = this.settings;
+
+        if (this.blocklist && this.blocklist.test(text)) {
+            violations.push({ type: 'bannedWord', reason: 'blocked word' });
+        }
+
+        if (s.blockLinks && role === 'everyone') {
+            const links = text.match(LINK_PATTERN) || [];
+            const disallowed = links.filter(link => !isAllowedHost(linkHost(link), s.allowedDomains));
+            if (disallowed.length > 0) {
+                violations.push({ type: 'link', reason: 'links are for members only' });
+            }
+        }
+
+        const normalized = text.trim().toLowerCase();
+        // Counts include the message being checked
+        const repeats = 1 + state.messages.filter(entry =>
+            entry.text === normalized && now - entry.time <= s.repeatWindowSeconds * 1000
+        ).length;
+        if (repeats >= s.repeatLimit) {
+            violations.push({ type: 'repeat', reason: 'repeated message' });
+        }
+
+        const recent = 1 + state.messages.filter(entry => now - entry.time <= s.floodWindowSeconds * 1000).length;
+        if (recent >= s.floodLimit) {
+            violations.push({ type: 'flood', reason: 'too many messages too fast' });
+        }
+
+        const letters = text.match(/\p{L}/gu) || [];
+        if (letters.length >= s.capsMinLetters) {
+            const upper = letters.filter(letter => letter !== letter.toLowerCase()).length;
+            if (upper / letters.length >= s.capsRatio) {
+                violations.push({ type: 'caps', reason: 'too many caps' });
+            }
+        }
+
+        const emoji = text.match(EMOJI_PATTERN) || [];
+        if (emoji.length > s.maxEmoji) {
+            violations.push({ type: 'emoji', reason: 'too many emoji' });
+        }
+
+        return violations;
+    }
+
+    // Decide what to do about a message. Returns null when it is fine.
+    check(message, now = Date.now()) {
+        if (!this.settings.enabled) return null;
+
+        const authorDetails = message.authorDetails || {};
+        const role = getRole(authorDetails, this.ownerChannelId);
+
+        // Moderators and the channel owner are never moderated
+        if (role === 'owner' || role === 'moderator') return null;
+
+        const text = message.snippet.displayMessage || '';
+        const channelId = authorDetails.channelId || authorDetails.displayName;
+        const state = this.userState(channelId);
+
+        // Check against history first, then remember this message
+        const windowMs = Math.max(this.settings.repeatWindowSeconds, this.settings.floodWindowSeconds) * 1000;
+        state.messages = state.messages.filter(entry => now - entry.time <= windowMs);
+        const violations = this.findViolations(text, role, state, now);
+        state.messages.push({ text: text.trim().toLowerCase(), time: now });
+
+        if (violations.length === 0) return null;
+
+        // Strikes wear off after a quiet period
+        if (now - state.lastStrike > this.settings.strikeWindowMinutes * 60 * 1000) {
+            state.strikes = 0;
+        }
+        state.strikes += 1;
+        state.lastStrike = now;
+
+        const ladder = this.settings.escalation;
+        let action = ladder[Math.min(state.strikes, ladder.length) - 1];
+
+        // Some violations go straight to removal
+        for (const violation of violations) {
+            const minimum = MINIMUM_ACTION[violation.type];
+            if (minimum && ACTIONS.indexOf(minimum) > ACTIONS.indexOf(action)) {
+                action = minimum;
+            }
+        }
+
+        return {
+            action,
+            reason: violations.map(violation => violation.reason).join(', '),
+            violations: violations.map(violation => violation.type),
+            strikes: state.strikes,
+            author: authorDetails.displayName,
+            channelId: authorDetails.channelId,
+            messageId: message.id
+        };
+    }
+
+    // Keep a bounded history of what was done and why
+    record(decision, outcome) {
+        const entry = {
+            time: new Date().toISOString(),
+            action: decision.action,
+            outcome,
+            reason: decision.reason,
+            author: decision.author,
+            channelId: decision.channelId,
+            messageId: decision.messageId,
+            strikes: decision.strikes
+        };
+        this.log.push(entry);
+        if (this.log.length > 200) this.log.shift();
+        return entry;
+    }
+
+    // Forget users we have not heard from in a while
+    prune(now = Date.now()) {
+        const maxAge = this.settings.strikeWindowMinutes * 60 * 1000;
+        for (const [channelId, state] of this.users) {
+            const lastMessage = state.messages.length ? state.messages[state.messages.length - 1].time : 0;
+            if (now - Math.max(lastMessage, state.lastStrike) > maxAge) {
+                this.users.delete(channelId);
+            }
+        }
+    }
+}
+
+module.exports = { Moderator, ACTIONS, DEFAULTS };
@@ -0,0 +1,236 @@
+const axios = require('axios');
+const { readConfigFile } = require('./files');
+const { render } = require('./personality');
+const { isTransientError } = require('./outbound-queue');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'notifications' });
+
+// Events the bot reports, with the line each sink sends unless it has its own template
+const EVENTS = {
+    'stream.live': '🔴 {title} is live! {url}',
+    'stream.ended': '⏹️ Stream ended: {title} ({url})',
+    'quota.warning': '⚠️ YouTube quota at {used}/{limit} units, {remaining} left before the reserve',
+    'errors.repeated': '❌ {count} errors in a row {context} on {title}: {message}',
+    'chat.ownerMention': '💬 {author} mentioned {owner} in "{title}": {text}'
+};
+
+const DEFAULTS = {
+    enabled: true,
+    // [{ id, type: discord | slack | webhook, url, events, templates, headers, username }]
+    sinks: [],
+    // Consecutive chat polling failures before errors.repeated fires
+    errorThreshold: 3,
+    // Events sent with a key (e.g. the viewer who mentioned the owner) only fire once per key this often
+    throttleSeconds: 60,
+    maxRetries: 5,
+    retryBaseMs: 2000,
+    maxQueue: 50,
+    timeoutMs: 10000
+};
+
+// Request body for each kind of sink
+const FORMATS = {
+    // Discord rejects messages over 2000 characters; chat text must never ping @everyone
+    discord: (text, notification, sink) => ({
+        content: text.slice(0, 2000),
+        allowed_mentions: { parse: [] },
+        ...(sink.username ? { username: sink.username } : {})
+    }),
+    slack: text => ({ text }),
+    webhook: (text, notification) => ({
+        event: notification.event,
+        text,
+        data: notification.data,
+        time: notification.time
+    })
+};
+
+// Events listed as exact names, "stream.*" prefixes or "*" for everything
+function wantsEvent(filter, event) {
+    return filter.some(pattern => pattern === '*' || pattern === event ||
+        (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1))));
+}
+
+// How long a rate-limited webhook asked us to wait (Retry-After header or Discord's retry_after)
+function retryAfterMs(error) {
+    if (!error.response || error.response.status !== 429) return 0;
+    const header = Number(error.response.headers && error.response.headers['retry-after']);
+    const body = Number(error.response.data && error.response.data.retry_after);
+    return Math.max(header || 0, body || 0) * 1000;
+}
+
+// One destination with its own filter, templates and retry queue
+class NotificationSink {
+    constructor(options, settings) {
+        this.id = options.id || options.type;
+        this.type = options.type;
+        this.url = options.url;
+        this.events = [].concat(options.events || ['*']);
+        this.templates = { ...EVENTS, ...(options.templates || {}) };
+        this.headers = options.headers || {};
+        this.username = options.username || '';
+        this.settings = settings;
+
+        this.items = [];
+        this.running = false;
+        this.wakeTimer = null;
+        this.counters = { sent: 0, failed: 0, retried: 0, dropped: 0 };
+        this.lastError = null;
+    }
+
+    wants(event) {
+        return wantsEvent(this.events, event);
+    }
+
+    enqueue(notification) {
+        const text = render(this.templates[notification.event] || notification.event, notification.data);
+        this.items.push({
+            body: FORMATS[this.type](text, notification, this),
+            event: notification.event,
+            attempts: 0,
+            notBefore: Date.now()
+        });
+        // A dead webhook shouldn't grow the queue forever - oldest go first
+        while (this.items.length > this.settings.maxQueue) {
+            this.items.shift();
+            this.counters.dropped += 1;
+        }
+        this.scheduleWake(0);
+    }
+
+    async post(body) {
+        await axios.post(this.url, body, {
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            timeout: this.settings.timeoutMs
+        });
+    }
+
+    async drain() {
+        if (this.running) return;
+        this.running = true;
+        clearTimeout(this.wakeTimer);
+
+        try {
+            // Strictly in order, so a retried notification doesn't arrive after newer ones
+            while (this.items.length > 0 && this.items[0].notBefore <= Date.now()) {
+                const item = this.items[0];
+                item.attempts += 1;
+                try {
+                    await this.post(item.body);
+                    this.counters.sent += 1;
+                    this.items.shift();
+                } catch (error) {
+                    this.lastError = { message: error.message, time: new Date().toISOString() };
+                    if (isTransientError(error) && item.attempts <= this.settings.maxRetries) {
+                        // Exponential backoff with a little jitter, or whatever the server asked for
+                        const backoff = Math.max(
+                            retryAfterMs(error),
+                            this.settings.retryBaseMs * 2 ** (item.attempts - 1) * (0.8 + Math.random() * 0.4)
+                        );
+                        item.notBefore = Date.now() + backoff;
+                        this.counters.retried += 1;
+                        log.warn('Retrying notification', { sink: this.id, event: item.event, backoffMs: Math.round(backoff), error });
+                    } else {
+                        log.error('Notification failed', { sink: this.id, event: item.event, error });
+                        this.counters.failed += 1;
+                        this.items.shift();
+                    }
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        if (this.items.length > 0) {
+            this.scheduleWake(this.items[0].notBefore - Date.now());
+        }
+    }
+
+    scheduleWake(delayMs) {
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = setTimeout(() => this.drain(), Math.max(0, delayMs));
+        this.wakeTimer.unref();
+    }
+
+    stop() {
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = null;
+    }
+
+    stats() {
+        return {
+            id: this.id,
+            type: this.type,
+            events: this.events,
+            queued: this.items.length,
+            ...this.counters,
+            lastError: this.lastError
+        };
+    }
+}
+
+// Sends stream events and alerts to Discord, Slack or any JSON webhook
+class Notifier {
+    constructor(options = {}) {
+        this.settings = { ...DEFAULTS, ...options };
+        this.sinks = this.settings.sinks.map(sink => new NotificationSink(sink, this.settings));
+        this.lastSent = new Map();
+    }
+
+    // Build settings from the optional config file, plus sinks and overrides from the environment
+    static fromFile(filePath, overrides = {}, extraSinks = []) {
+        const { resolved, settings: fileSettings } = readConfigFile(filePath, 'notifications');
+
+        const settings = { ...fileSettings, ...overrides, sinks: [...(fileSettings.sinks || []), ...extraSinks] };
+        const problems = settings.sinks.flatMap((sink, index) => {
+            const label = sink.id || `sinks[${index}]`;
+            const found = [];
+            if (!FORMATS[sink.type]) found.push(`${label}: "type" must be one of ${Object.keys(FORMATS).join('/')}`);
+            if (typeof sink.url !== 'string' || !/^https?:\/\//.test(sink.url)) found.push(`${label}: "url" must be an http(s) URL`);
+            const unknown = [].concat(sink.events || []).filter(event => !EVENTS[event] && !event.endsWith('*'));
+            if (unknown.length > 0) found.push(`${label}: unknown event(s) ${unknown.join(', ')}`);
+            return found;
+        });
+        if (problems.length > 0) {
+            throw new Error(`Invalid notifications config ${resolved}: ${problems.join('; ')}`);
+        }
+        return new Notifier(settings);
+    }
+
+    // Queue an event for every sink that wants it
+    // key throttles repeats, e.g. one owner-mention alert per viewer per throttleSeconds
+    notify(event, data = {}, options = {}) {
+        if (!this.settings.enabled) return 0;
+
+        if (options.key !== undefined) {
+            const throttleKey = `${event}:${options.key}`;
+            const now = Date.now();
+            const windowMs = this.settings.throttleSeconds * 1000;
+            // Keys outside the window can't hold anything back any more
+            for (const [key, time] of this.lastSent) {
+                if (now - time >= windowMs) this.lastSent.delete(key);
+            }
+            if (this.lastSent.has(throttleKey)) return 0;
+            this.lastSent.set(throttleKey, now);
+        }
+
+        const notification = { event, data, time: new Date().toISOString() };
+        const sinks = this.sinks.filter(sink => sink.wants(event));
+        sinks.forEach(sink => sink.enqueue(notification));
+        return sinks.length;
+    }
+
+    stop() {
+        this.sinks.forEach(sink => sink.stop());
+    }
+
+    stats() {
+        return {
+            enabled: this.settings.enabled,
+            sinks: this.sinks.map(sink => sink.stats())
+        };
+    }
+}
+
+module.exports = { Notifier, NotificationSink, EVENTS, DEFAULTS };
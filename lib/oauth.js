@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { writeJsonAtomic } = require('./files');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'oauth' });
+
+// force-ssl covers reading chat, sending messages and moderation actions
+const SCOPES = ['https://www.googleapis.com/auth/youtube.force-ssl'];
+const WRITE_SCOPES = ['https://www.googleapis.com/auth/youtube.force-ssl', 'https://www.googleapis.com/auth/youtube'];
+
+// Tokens on disk, written atomically
+class TokenStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(process.cwd(), filePath);
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            log.error('Could not read OAuth tokens', { file: this.filePath, error });
+            return null;
+        }
+    }
+
+    save(tokens) {
+        try {
+            writeJsonAtomic(this.filePath, tokens, { mode: 0o600 });
+        } catch (error) {
+            log.error('Could not save OAuth tokens', { file: this.filePath, error });
+        }
+    }
+
+    clear() {
+        if (fs.existsSync(this.filePath)) {
+            fs.unlinkSync(this.filePath);
+        }
+    }
+}
+
+// Authorization-code flow, token persistence and write-access status for the bot account
+class OAuthManager {
+    constructor(options) {
+        this.client = new google.auth.OAuth2(options.clientId, options.clientSecret, options.redirectUri);
+        this.redirectUri = options.redirectUri;
+        this.store = options.store;
+        this.pendingStates = new Map();
+        this.lastCheck = null;
+
+        // Google only sends a refresh token on first consent, so merge instead of replacing
+        this.client.on('tokens', tokens => {
+            const merged = { ...this.client.credentials, ...tokens };
+            this.store.save(merged);
+            log.info('OAuth tokens refreshed and saved');
+        });
+    }
+
+    // Saved tokens win, OAUTH_TOKENS is only used to seed an empty store
+    loadTokens(envTokens) {
+        const saved = this.store.load();
+        if (saved) {
+            this.client.setCredentials(saved);
+            log.info('OAuth tokens loaded from token store');
+            return true;
+        }
+
+        if (envTokens) {
+            try {
+                const tokens = JSON.parse(envTokens);
+                this.client.setCredentials(tokens);
+                this.store.save(tokens);
+                log.info('OAuth tokens loaded from environment');
+                return true;
+            } catch (error) {
+                log.error('Failed to parse OAUTH_TOKENS', { error });
+            }
+        }
+        return false;
+    }
+
+    hasCredentials() {
+        const credentials = this.client.credentials || {};
+        return Boolean(credentials.access_token || credentials.refresh_token);
+    }
+
+    // Get a new access token after the API rejected the current one (401)
+    // Resolves false when there's nothing to refresh with or Google refused (re-authorize at /auth)
+    async refresh() {
+        if (!(this.client.credentials || {}).refresh_token) return false;
+        try {
+            // Saved by the 'tokens' listener
+            await this.client.refreshAccessToken();
+            return true;
+        } catch (error) {
+            log.error('OAuth token refresh failed, re-authorize at /auth', { error });
+            this.lastCheck = {
+                checkedAt: new Date().toISOString(),
+                valid: false,
+                writeAccess: false,
+                scopes: [],
+                error: error.message
+            };
+            return false;
+        }
+    }
+
+    // URL to send the channel owner to; state guards the callback against forgery
+    getAuthUrl() {
+        const state = crypto.randomBytes(16).toString('hex');
+        this.pendingStates.set(state, Date.now());
+        // Forget states nobody came back with after 10 minutes
+        for (const [pending, createdAt] of this.pendingStates) {
+            if (Date.now() - createdAt > 10 * 60 * 1000) this.pendingStates.delete(pending);
+        }
+
+        return this.client.generateAuthUrl({
+            access_type: 'offline',
+            prompt: 'consent',
+            scope: SCOPES,
+            state
+        });
+    }
+
+    // Exchange the code from the callback for tokens and store them
+    async handleCallback({ code, state, error }) {
+        if (error) {
+            throw new Error(`Authorization was not granted: ${error}`);
+        }
+        if (!state || !this.pendingStates.has(state)) {
+            throw new Error('Unknown or expired state, start again from /auth');
+        }
+        this.pendingStates.delete(state);
+        if (!code) {
+            throw new Error('Missing authorization code');
+        }
+
+        const { tokens } = await this.client.getToken(code);
+        const merged = { ...this.client.credentials, ...tokens };
+        this.client.setCredentials(merged);
+        this.store.save(merged);
+        log.info('OAuth authorization complete, tokens saved');
+        return this.verify();
+    }
+
+    // Confirm the tokens still work and carry a scope that can write to chat
+    async verify() {
+        const check = { checkedAt: new Date().toISOString(), valid: false, writeAccess: false, scopes: [], error: null };
+
+        if (!this.hasCredentials()) {
+            check.error = 'No OAuth tokens - visit /auth to authorize';
+        } else {
+            try {
+                const { token } = await this.client.getAccessToken();
+                const info = await this.client.getTokenInfo(token);
+                check.valid = true;
+                check.scopes = info.scopes || [];
+                check.writeAccess = check.scopes.some(scope => WRITE_SCOPES.includes(scope));
+                if (!check.writeAccess) {
+                    check.error = 'Token is missing the youtube.force-ssl scope';
+                }
+            } catch (error) {
+                check.error = error.message;
+            }
+        }
+
+        this.lastCheck = check;
+        return check;
+    }
+
+    status() {
+        const credentials = this.client.credentials || {};
+        return {
+            hasCredentials: this.hasCredentials(),
+            hasRefreshToken: Boolean(credentials.refresh_token),
+            expiresAt: credentials.expiry_date ? new Date(credentials.expiry_date).toISOString() : null,
+            redirectUri: this.redirectUri,
+            lastCheck: this.lastCheck
+        };
+    }
+}
+
+module.exports = { OAuthManager, TokenStore, SCOPES };
@@ -0,0 +1,256 @@
+const { MAX_CHAT_LENGTH } = require('./llm');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'outbound' });
+
+// Lower number goes first
+const PRIORITIES = {
+    owner: 0,
+    moderation: 1,
+    command: 2,
+    ambient: 3
+};
+
+// Network trouble, server errors and rate limits are worth another try
+function isTransientError(error) {
+    if (!error.response) return true;
+    const status = error.response.status;
+    const reason = error.response.data?.error?.errors?.[0]?.reason;
+    return status >= 500 || status === 429 || reason === 'rateLimitExceeded';
+}
+
+// Split long text into chat-sized parts on word boundaries
+function splitMessage(text, maxLength = MAX_CHAT_LENGTH, maxParts = 3) {
+    const words = String(text).replace(/\s+/g, ' ').trim().split(' ');
+    const parts = [];
+    let current = '';
+
+    for (const word of words) {
+        // Words longer than a whole message get hard-wrapped
+        const chars = Array.from(word);
+        const pieces = [];
+        for (let i = 0; i < chars.length; i += maxLength) {
+            pieces.push(chars.slice(i, i + maxLength).join(''));
+        }
+        for (const piece of pieces) {
+            const candidate = current ? `${current} ${piece}` : piece;
+            if (Array.from(candidate).length <= maxLength) {
+                current = candidate;
+            } else {
+                parts.push(current);
+                current = piece;
+            }
+        }
+    }
+    if (current) parts.push(current);
+
+    if (parts.length > maxParts) {
+        const kept = parts.slice(0, maxParts);
+        const last = Array.from(kept[maxParts - 1]);
+        kept[maxParts - 1] = last.slice(0, maxLength - 1).join('').trimEnd() + '…';
+        return kept;
+    }
+    return parts;
+}
+
+// Single-writer queue for chat messages: priorities, retries, TTL, dedupe and splitting
+class OutboundQueue {
+    constructor(options) {
+        // send(item) resolves true when sent, false when it can never be sent, throws on API errors
+        this.send = options.send;
+        this.isTransient = options.isTransient || isTransientError;
+        this.maxLength = options.maxLength || MAX_CHAT_LENGTH;
+        this.maxParts = options.maxParts || 3;
+        this.ttlMs = options.ttlMs || 60 * 1000;
+        this.dedupeWindowMs = options.dedupeWindowMs ?? 2 * 60 * 1000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseBackoffMs = options.baseBackoffMs || 2000;
+
+        this.items = [];
+        this.recent = new Map();
+        this.sequence = 0;
+        this.running = false;
+        this.wakeTimer = null;
+        this.counters = { sent: 0, failed: 0, retried: 0, expired: 0, duplicates: 0, split: 0 };
+        this.lastError = null;
+    }
+
+    dedupeKey(liveChatId, text) {
+        return `${liveChatId}:${text.trim().toLowerCase()}`;
+    }
+
+    // Queue a message; resolves to true once every part was sent
+    enqueue(text, options = {}) {
+        const now = Date.now();
+        const key = this.dedupeKey(options.liveChatId, text);
+
+        this.pruneRecent(now);
+        const queuedAlready = this.items.some(item => item.key === key);
+        if (this.recent.has(key) || queuedAlready) {
+            this.counters.duplicates += 1;
+            log.info('Skipping duplicate message', { liveChatId: options.liveChatId, text });
+            return Promise.resolve(false);
+        }
+
+        const parts = splitMessage(text, this.maxLength, this.maxParts);
+        if (parts.length > 1) {
+            this.counters.split += 1;
+        }
+
+        const priority = PRIORITIES[options.priority] ?? PRIORITIES.command;
+        const group = this.sequence + 1;
+        const promises = parts.map((part, index) => new Promise(resolve => {
+            this.items.push({
+                id: ++this.sequence,
+                key: index === 0 ? key : `${key}#${index}`,
+                group,
+                // What produced the message (e.g. the personality rule), for session reports
+                rule: index === 0 ? options.rule : undefined,
+                text: part,
+                liveChatId: options.liveChatId,
+                priority,
+                createdAt: now,
+                notBefore: now + (options.delayMs || 0),
+                attempts: 0,
+                resolve
+            });
+        }));
+
+        // Start on the next tick so messages queued together are ordered by priority
+        this.scheduleWake();
+        return Promise.all(promises).then(results => results.every(Boolean));
+    }
+
+    pruneRecent(now) {
+        for (const [key, sentAt] of this.recent) {
+            if (now - sentAt > this.dedupeWindowMs) this.recent.delete(key);
+        }
+    }
+
+    // Highest priority message that is due, oldest first
+    nextReady(now) {
+        let best = null;
+        for (const item of this.items) {
+            if (item.notBefore > now) continue;
+            // Parts of a split message go out in order
+            if (this.items.some(other => other.group === item.group && other.id < item.id)) continue;
+            if (!best || item.priority < best.priority ||
+                (item.priority === best.priority && item.id < best.id)) {
+                best = item;
+            }
+        }
+        return best;
+    }
+
+    finish(item, sent) {
+        // Already gone if the queue was cleared while it was being sent
+        const index = this.items.indexOf(item);
+        if (index !== -1) this.items.splice(index, 1);
+        item.resolve(sent);
+    }
+
+    async drain() {
+        if (this.running) return;
+        this.running = true;
+        clearTimeout(this.wakeTimer);
+
+        try {
+            for (;;) {
+                const now = Date.now();
+                const item = this.nextReady(now);
+                if (!item) break;
+
+                // Old news - a reply two minutes late is worse than none
+                if (now - item.createdAt > this.ttlMs) {
+                    this.counters.expired += 1;
+                    log.info('Dropping stale message', { liveChatId: item.liveChatId, text: item.text });
+                    this.finish(item, false);
+                    continue;
+                }
+
+                item.attempts += 1;
+                try {
+                    const sent = await this.send(item);
+                    if (sent) {
+                        this.counters.sent += 1;
+                        this.recent.set(item.key, Date.now());
+                    }
+                    this.finish(item, sent);
+                } catch (error) {
+                    this.lastError = { message: error.message, time: new Date().toISOString() };
+                    if (this.isTransient(error) && item.attempts <= this.maxRetries) {
+                        // Exponential backoff with a little jitter
+                        const backoff = this.baseBackoffMs * 2 ** (item.attempts - 1) * (0.8 + Math.random() * 0.4);
+                        item.notBefore = Date.now() + backoff;
+                        this.counters.retried += 1;
+                        log.warn('Retrying message', {
+                            liveChatId: item.liveChatId,
+                            attempt: item.attempts,
+                            maxRetries: this.maxRetries,
+                            backoffMs: Math.round(backoff),
+                            error
+                        });
+                    } else {
+                        this.counters.failed += 1;
+                        this.finish(item, false);
+                    }
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.scheduleWake();
+    }
+
+    // Sleep until the next delayed or backed-off message is due
+    scheduleWake() {
+        clearTimeout(this.wakeTimer);
+        if (this.items.length === 0) return;
+        const due = Math.min(...this.items.map(item => item.notBefore));
+        this.wakeTimer = setTimeout(() => this.drain(), Math.max(0, due - Date.now()));
+    }
+
+    // Send everything queued right away, delayed and backed-off messages included (shutdown)
+    // Resolves to true if the queue emptied within timeoutMs; anything left is dropped
+    async flush(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.items.length > 0 && Date.now() < deadline) {
+            // Reply delays no longer matter, retry backoffs still do
+            const now = Date.now();
+            for (const item of this.items) {
+                if (item.attempts === 0) item.notBefore = Math.min(item.notBefore, now);
+            }
+            await this.drain();
+            if (this.items.length > 0) await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        const emptied = this.items.length === 0;
+        if (!emptied) {
+            log.warn('Dropping unsent messages at shutdown', { count: this.items.length });
+        }
+        this.clear();
+        return emptied;
+    }
+
+    // Drop everything still waiting (e.g. the stream it was meant for ended)
+    clear(liveChatId = null) {
+        for (const item of [...this.items]) {
+            if (liveChatId === null || item.liveChatId === liveChatId) {
+                this.finish(item, false);
+            }
+        }
+        this.scheduleWake();
+    }
+
+    stats() {
+        return {
+            depth: this.items.length,
+            sending: this.running,
+            ...this.counters,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = { OutboundQueue, PRIORITIES, splitMessage, isTransientError };
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { normalizeText, baseLocale, escapeRegex } = require('./language');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'personality' });
+
+const MATCH_TYPES = ['substring', 'word', 'regex', 'greeting', 'any'];
+// Which reply limit a rule counts against (see lib/reply-limiter.js)
+const CATEGORIES = ['greetings', 'reactions'];
+const LOCALE_PATTERN = /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i;
+// Scripts written without spaces between words, where word boundaries can't be found
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+class PersonalityConfigError extends Error {
+    constructor(filePath, problems) {
+        super(`Invalid personality config ${filePath}:\n${problems.map(problem => `   - ${problem}`).join('\n')}`);
+        this.name = 'PersonalityConfigError';
+        this.filePath = filePath;
+        this.problems = problems;
+    }
+}
+
+// Fill {placeholders} from the context, leaving unknown ones as they are
+function render(template, context = {}) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => (
+        context[key] !== undefined && context[key] !== null ? String(context[key]) : placeholder
+    ));
+}
+
+function validatePools(pools, prefix, problems) {
+    if (typeof pools !== 'object' || pools === null || Array.isArray(pools)) {
+        problems.push(`${prefix}"pools" must be an object of name -> list of responses`);
+        return;
+    }
+    for (const [name, lines] of Object.entries(pools)) {
+        if (!Array.isArray(lines) || lines.length === 0 || !lines.every(line => typeof line === 'string')) {
+            problems.push(`${prefix}pool "${name}" must be a non-empty list of strings`);
+        }
+    }
+}
+
+function validateGreetingWords(words, prefix, problems) {
+    if (words !== undefined && (!Array.isArray(words) || !words.every(word => typeof word === 'string'))) {
+        problems.push(`${prefix}"greetingWords" must be a list of strings`);
+    }
+}
+
+// pools is every pool the rules can use (a locale's own plus the default ones)
+function validateRules(rules, pools, prefix, problems) {
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const label = `${prefix}rule #${index + 1}${rule && rule.id ? ` (${rule.id})` : ''}`;
+
+        if (!rule || typeof rule !== 'object') {
+            problems.push(`${label} must be an object`);
+            return;
+        }
+        if (!rule.id || typeof rule.id !== 'string') {
+            problems.push(`${label} needs a string "id"`);
+        } else if (ids.has(rule.id)) {
+            problems.push(`${label} has a duplicate id`);
+        } else {
+            ids.add(rule.id);
+        }
+
+        const matchType = rule.match || 'substring';
+        if (!MATCH_TYPES.includes(matchType)) {
+            problems.push(`${label} has unknown match "${matchType}" (expected ${MATCH_TYPES.join('/')})`);
+        }
+
+        if (matchType !== 'any' && matchType !== 'greeting') {
+            if (!Array.isArray(rule.patterns) || rule.patterns.length === 0 ||
+                !rule.patterns.every(pattern => typeof pattern === 'string')) {
+                problems.push(`${label} needs a non-empty "patterns" list`);
+            } else if (matchType === 'regex') {
+                for (const pattern of rule.patterns) {
+                    try {
+                        new RegExp(pattern, 'i');
+                    } catch (error) {
+                        problems.push(`${label} has an invalid regex /${pattern}/: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+            problems.push(`${label} "priority" must be a number`);
+        }
+        if (rule.probability !== undefined &&
+            (typeof rule.probability !== 'number' || rule.probability < 0 || rule.probability > 1)) {
+            problems.push(`${label} "probability" must be a number between 0 and 1`);
+        }
+
+        if (rule.category !== undefined && !CATEGORIES.includes(rule.category)) {
+            problems.push(`${label} has unknown category "${rule.category}" (expected ${CATEGORIES.join('/')})`);
+        }
+
+        if (typeof rule.responses === 'string') {
+            if (!pools[rule.responses]) {
+                problems.push(`${label} uses unknown pool "${rule.responses}"`);
+            }
+        } else if (!Array.isArray(rule.responses) || rule.responses.length === 0 ||
+            !rule.responses.every(line => typeof line === 'string')) {
+            problems.push(`${label} "responses" must be a pool name or a non-empty list of strings`);
+        }
+    });
+}
+
+// Check a parsed config and return a list of human readable problems
+function validate(config) {
+    const problems = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['top level must be an object with "pools" and "rules"'];
+    }
+
+    const pools = config.pools || {};
+    validatePools(pools, '', problems);
+    validateGreetingWords(config.greetingWords, '', problems);
+
+    if (config.locale !== undefined && (typeof config.locale !== 'string' || !LOCALE_PATTERN.test(config.locale))) {
+        problems.push('"locale" must be a language code such as "en" or "pt-BR"');
+    }
+
+    if (!Array.isArray(config.rules)) {
+        problems.push('"rules" must be a list');
+        return problems;
+    }
+    validateRules(config.rules, pools, '', problems);
+
+    if (config.locales === undefined) return problems;
+    if (typeof config.locales !== 'object' || config.locales === null || Array.isArray(config.locales)) {
+        problems.push('"locales" must be an object of language code -> { greetingWords, pools, rules }');
+        return problems;
+    }
+
+    for (const [code, locale] of Object.entries(config.locales)) {
+        const prefix = `locale "${code}": `;
+        if (!LOCALE_PATTERN.test(code)) {
+            problems.push(`${prefix}name must be a language code such as "es" or "pt-BR"`);
+        }
+        if (!locale || typeof locale !== 'object' || Array.isArray(locale)) {
+            problems.push(`${prefix}must be an object`);
+            continue;
+        }
+
+        const localePools = locale.pools || {};
+        validatePools(localePools, prefix, problems);
+        validateGreetingWords(locale.greetingWords, prefix, problems);
+        if (locale.rules !== undefined) {
+            if (!Array.isArray(locale.rules)) {
+                problems.push(`${prefix}"rules" must be a list`);
+            } else {
+                validateRules(locale.rules, { ...pools, ...localePools }, prefix, problems);
+            }
+        }
+    }
+
+    return problems;
+}
+
+function compileRules(rules, offset = 0) {
+    return rules.map((rule, index) => ({
+        id: rule.id,
+        match: rule.match || 'substring',
+        patterns: rule.patterns || [],
+        priority: rule.priority || 0,
+        probability: rule.probability === undefined ? 1 : rule.probability,
+        responses: rule.responses,
+        // Greeting rules count as greetings unless they say otherwise
+        category: rule.category || (rule.match === 'greeting' ? 'greetings' : 'reactions'),
+        order: offset + index
+    }));
+}
+
+// Highest priority first, file order breaks ties
+function byPriority(a, b) {
+    return b.priority - a.priority || a.order - b.order;
+}
+
+class Personality {
+    constructor(options = {}) {
+        this.filePath = path.resolve(process.cwd(), options.filePath || 'config/personality.json');
+        this.random = options.random || Math.random;
+        this.config = null;
+        this.locale = 'en';
+        // Compiled rule sets by locale; the top-level rules are this.locale
+        this.rulesets = new Map();
+        this.rules = [];
+        this.greetingPatterns = [];
+        this.loadedAt = null;
+        this.watching = false;
+    }
+
+    // Read, validate and compile the config file (throws on any problem)
+    load() {
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            throw new PersonalityConfigError(this.filePath, [`cannot read file: ${error.message}`]);
+        }
+
+        let parsed;
+        try {
+            parsed = /\.ya?ml$/i.test(this.filePath) ? yaml.load(raw) : JSON.parse(raw);
+        } catch (error) {
+            throw new PersonalityConfigError(this.filePath, [`cannot parse file: ${error.message}`]);
+        }
+
+        const problems = validate(parsed);
+        if (problems.length > 0) {
+            throw new PersonalityConfigError(this.filePath, problems);
+        }
+
+        this.config = parsed;
+        this.locale = baseLocale(parsed.locale || 'en');
+        this.greetingPatterns = (parsed.greetingWords || []).map(word => this.wordPattern(word));
+        this.rules = compileRules(parsed.rules).sort(byPriority);
+
+        const base = { greetingPatterns: this.greetingPatterns, pools: parsed.pools || {}, rules: this.rules };
+        this.rulesets = new Map([[this.locale, base]]);
+        for (const [code, locale] of Object.entries(parsed.locales || {})) {
+            // A locale's own rules come first and replace default rules with the same id
+            const own = compileRules(locale.rules || []);
+            const ownIds = new Set(own.map(rule => rule.id));
+            const inherited = compileRules(parsed.rules, own.length).filter(rule => !ownIds.has(rule.id));
+            this.rulesets.set(baseLocale(code), {
+                greetingPatterns: [
+                    ...(locale.greetingWords || []).map(word => this.wordPattern(word)),
+                    ...base.greetingPatterns
+                ],
+                pools: { ...base.pools, ...(locale.pools || {}) },
+                rules: [...own, ...inherited].sort(byPriority)
+            });
+        }
+        this.loadedAt = new Date();
+
+        log.info('Loaded personality', { file: path.basename(this.filePath), rules: this.rules.length, locales: this.locales() });
+        return this;
+    }
+
+    // Reload the file, keeping the previous config if the new one is broken
+    reload() {
+        try {
+            this.load();
+            return true;
+        } catch (error) {
+            log.error('Personality reload failed, keeping previous config', { problems: error.problems || [error.message] });
+            return false;
+        }
+    }
+
+    // Reload automatically when the file changes
+    watch() {
+        if (this.watching) return;
+        this.watching = true;
+        fs.watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                log.info('Personality config changed, reloading');
+                this.reload();
+            }
+        });
+    }
+
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.filePath);
+        this.watching = false;
+    }
+
+    // Locales with their own rules or pools, the default first
+    locales() {
+        return [...this.rulesets.keys()];
+    }
+
+    hasLocale(locale) {
+        return this.rulesets.has(baseLocale(locale));
+    }
+
+    // Rule set for a locale, falling back to the default one
+    ruleset(locale) {
+        return this.rulesets.get(baseLocale(locale)) || this.rulesets.get(this.locale);
+    }
+
+    wordPattern(word) {
+        const normalized = normalizeText(word);
+        // Chinese, Japanese, Thai etc. have no spaces, so any occurrence counts
+        if (UNSPACED_SCRIPT.test(normalized)) {
+            return new RegExp(escapeRegex(normalized), 'u');
+        }
+        // Lookarounds instead of \b so words ending in punctuation ("what's up") still work
+        return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(normalized)}(?![\\p{L}\\p{N}_])`, 'u');
+    }
+
+    // Check if message contains one of the greeting words for its locale (or the default ones)
+    containsGreeting(text, locale = null) {
+        const normalized = normalizeText(text);
+        return this.ruleset(locale).greetingPatterns.some(pattern => pattern.test(normalized));
+    }
+
+    // text is already normalized
+    matches(rule, text, context, ruleset) {
+        switch (rule.match) {
+            case 'any':
+                return true;
+            case 'greeting':
+                return ruleset.greetingPatterns.some(pattern => pattern.test(text));
+            case 'regex': {
+                // Viewer names are text to match, not regex syntax
+                const literal = Object.fromEntries(Object.entries(context)
+                    .map(([key, value]) => [key, value === undefined || value === null ? value : escapeRegex(normalizeText(value))]));
+                return rule.patterns.some(pattern => new RegExp(render(pattern, literal), 'i').test(text));
+            }
+            case 'word':
+                return rule.patterns.some(pattern => this.wordPattern(render(pattern, context)).test(text));
+            default:
+                return rule.patterns.some(pattern => text.includes(normalizeText(render(pattern, context))));
+        }
+    }
+
+    // Pick a rendered line from a named pool or an inline list
+    // Named pools come from context.locale when that locale has its own version
+    pick(responses, context = {}) {
+        const lines = typeof responses === 'string' ? this.ruleset(context.locale).pools[responses] : responses;
+        if (!lines || lines.length === 0) return null;
+        return render(lines[Math.floor(this.random() * lines.length)], context);
+    }
+
+    // Find the first matching rule for the message's locale and return
+    // { rule, category, response, locale }, or null
+    respond(text, context = {}) {
+        const locale = this.hasLocale(context.locale) ? baseLocale(context.locale) : this.locale;
+        const ruleset = this.ruleset(locale);
+        const normalized = normalizeText(text);
+        for (const rule of ruleset.rules) {
+            if (!this.matches(rule, normalized, context, ruleset)) continue;
+            if (rule.probability < 1 && this.random() >= rule.probability) continue;
+            return { rule: rule.id, category: rule.category, response: this.pick(rule.responses, { ...context, locale }), locale };
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    Personality,
+    PersonalityConfigError,
+    validate,
+    render
+};
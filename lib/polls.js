@@ -0,0 +1,94 @@
+// Chat polls: one open poll per stream, one vote per viewer channel ID
+class PollManager {
+    constructor(options = {}) {
+        this.defaultDurationMs = options.defaultDurationMs || 2 * 60 * 1000;
+        this.maxOptions = options.maxOptions || 10;
+        // Called with (streamKey, results) when a poll closes on its own
+        this.onClose = options.onClose || (() => {});
+        this.polls = new Map();
+    }
+
+    // Split `"question" opt1 | opt2` into its parts (null if it doesn't parse)
+    static parse(argString) {
+        const match = argString.trim().match(/^(?:"([^"]+)"|'([^']+)')\s*(.*)$/);
+        if (!match) return null;
+        const question = (match[1] || match[2]).trim();
+        const options = match[3].split('|').map(option => option.trim()).filter(Boolean);
+        return { question, options };
+    }
+
+    get(streamKey) {
+        return this.polls.get(streamKey) || null;
+    }
+
+    open(streamKey, { question, options, durationMs = this.defaultDurationMs }) {
+        if (this.polls.has(streamKey)) {
+            throw new Error('A poll is already open');
+        }
+        if (options.length < 2 || options.length > this.maxOptions) {
+            throw new Error(`A poll needs 2-${this.maxOptions} options`);
+        }
+
+        const poll = {
+            question,
+            options,
+            votes: new Map(),
+            openedAt: Date.now(),
+            closesAt: Date.now() + durationMs,
+            timer: setTimeout(() => this.onClose(streamKey, this.close(streamKey)), durationMs)
+        };
+        poll.timer.unref();
+        this.polls.set(streamKey, poll);
+        return poll;
+    }
+
+    // choice is 1-based; returns false for an invalid choice or a repeat voter
+    vote(streamKey, channelId, choice) {
+        const poll = this.polls.get(streamKey);
+        if (!poll || !Number.isInteger(choice) || choice < 1 || choice > poll.options.length) return false;
+        if (poll.votes.has(channelId)) return false;
+        poll.votes.set(channelId, choice - 1);
+        return true;
+    }
+
+    results(streamKey) {
+        const poll = this.polls.get(streamKey);
+        if (!poll) return null;
+
+        const counts = poll.options.map(() => 0);
+        for (const index of poll.votes.values()) counts[index] += 1;
+        const total = poll.votes.size;
+        const top = Math.max(...counts);
+
+        return {
+            question: poll.question,
+            total,
+            options: poll.options.map((text, index) => ({
+                text,
+                votes: counts[index],
+                percent: total > 0 ? Math.round((counts[index] / total) * 100) : 0
+            })),
+            winners: total > 0 ? poll.options.filter((text, index) => counts[index] === top) : []
+        };
+    }
+
+    close(streamKey) {
+        const results = this.results(streamKey);
+        const poll = this.polls.get(streamKey);
+        if (poll) {
+            clearTimeout(poll.timer);
+            this.polls.delete(streamKey);
+        }
+        return results;
+    }
+
+    static formatResults(results) {
+        const lines = results.options.map(option => `${option.text}: ${option.votes} (${option.percent}%)`).join(' | ');
+        const outcome = results.winners.length === 0 ? 'no votes'
+            : results.winners.length === 1 ? `winner: ${results.winners[0]}`
+                : `tie: ${results.winners.join(' & ')}`;
+        return `📊 Poll closed: ${results.question} — ${lines} — ${outcome}`;
+    }
+}
+
+module.exports = { PollManager };
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./files');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'quota' });
+
+// Cost in quota units of each YouTube Data API operation we use
+const QUOTA_COSTS = {
+    'search.list': 100,
+    'videos.list': 1,
+    'playlistItems.list': 1,
+    'liveBroadcasts.list': 1,
+    'liveChatMessages.list': 5,
+    'liveChatMessages.insert': 50,
+    'liveChatMessages.delete': 50,
+    'liveChatBans.insert': 200
+};
+
+// Offset in milliseconds between a time zone's wall clock and UTC at a given instant
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = parseInt(part.value, 10);
+        return acc;
+    }, {});
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Next midnight in the given time zone (YouTube resets quota at midnight Pacific Time)
+function getNextMidnight(now = new Date(), timeZone = 'America/Los_Angeles') {
+    const local = new Date(now.getTime() + getTimeZoneOffset(now, timeZone));
+    const guess = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 1);
+
+    // Apply the offset at the target instant so DST changes land on the right hour
+    let reset = guess - getTimeZoneOffset(new Date(guess), timeZone);
+    reset = guess - getTimeZoneOffset(new Date(reset), timeZone);
+    return new Date(reset);
+}
+
+class QuotaLedger {
+    constructor(options = {}) {
+        this.filePath = options.filePath ? path.resolve(process.cwd(), options.filePath) : null;
+        this.limit = options.limit || 10000;
+        this.safetyBuffer = options.safetyBuffer ?? 500;
+        this.warningThreshold = options.warningThreshold ?? 8000;
+        this.timeZone = options.timeZone || 'America/Los_Angeles';
+
+        this.used = 0;
+        this.byOperation = {};
+        this.resetTime = getNextMidnight(new Date(), this.timeZone);
+        this.warned = false;
+        // YouTube said quotaExceeded - trust it over our own count until the reset
+        this.exhausted = false;
+
+        this.load();
+    }
+
+    // Restore today's usage from disk (ignored if it belongs to a previous quota day)
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const savedReset = new Date(saved.resetTime);
+            if (savedReset > new Date()) {
+                this.used = saved.used || 0;
+                this.byOperation = saved.byOperation || {};
+                this.exhausted = Boolean(saved.exhausted);
+                this.resetTime = savedReset;
+                log.info('Restored quota ledger', { used: this.used, limit: this.limit });
+            }
+        } catch (error) {
+            log.error('Could not read quota ledger', { file: this.filePath, error });
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+
+        try {
+            writeJsonAtomic(this.filePath, this.toJSON());
+        } catch (error) {
+            log.error('Could not save quota ledger', { file: this.filePath, error });
+        }
+    }
+
+    // Start a fresh day once the reset time has passed
+    resetIfDue(now = new Date()) {
+        if (now < this.resetTime) return false;
+
+        this.used = 0;
+        this.byOperation = {};
+        this.warned = false;
+        this.exhausted = false;
+        this.resetTime = getNextMidnight(now, this.timeZone);
+        this.save();
+        log.info('Daily quota reset');
+        return true;
+    }
+
+    // Units we allow ourselves to spend, keeping the safety buffer free
+    get usable() {
+        return this.limit - this.safetyBuffer;
+    }
+
+    get remaining() {
+        if (this.exhausted) return 0;
+        return Math.max(0, this.usable - this.used);
+    }
+
+    canSpend(cost) {
+        this.resetIfDue();
+        return !this.exhausted && (this.used + cost) <= this.usable;
+    }
+
+    // Stop spending until the next reset (the project's real usage is more than we counted,
+    // e.g. another app shares the API key)
+    exhaust() {
+        this.resetIfDue();
+        if (this.exhausted) return false;
+        this.exhausted = true;
+        this.save();
+        log.warn('YouTube reports the quota is exhausted, pausing API calls until reset', {
+            used: this.used,
+            resetTime: this.resetTime.toISOString()
+        });
+        return true;
+    }
+
+    track(operation, cost = QUOTA_COSTS[operation] || 0) {
+        this.resetIfDue();
+        this.used += cost;
+
+        const entry = this.byOperation[operation] || { calls: 0, units: 0 };
+        entry.calls += 1;
+        entry.units += cost;
+        this.byOperation[operation] = entry;
+
+        this.save();
+        log.debug('Quota used', { operation, cost, used: this.used, limit: this.limit });
+
+        if (this.used > this.warningThreshold && !this.warned) {
+            this.warned = true;
+            log.warn('Approaching quota limit', { used: this.used, limit: this.limit, warningThreshold: this.warningThreshold });
+        }
+    }
+
+    toJSON() {
+        return {
+            used: this.used,
+            limit: this.limit,
+            safetyBuffer: this.safetyBuffer,
+            remaining: this.remaining,
+            exhausted: this.exhausted,
+            resetTime: this.resetTime.toISOString(),
+            byOperation: this.byOperation
+        };
+    }
+}
+
+module.exports = {
+    QuotaLedger,
+    QUOTA_COSTS,
+    getNextMidnight,
+    getTimeZoneOffset
+};
@@ -0,0 +1,248 @@
+const { readConfigFile } = require('./files');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'limits' });
+
+// Roles that are never held back (they run the stream)
+const EXEMPT_ROLES = ['owner', 'moderator'];
+
+const DEFAULTS = {
+    enabled: true,
+    // Token buckets: up to `burst` replies at once, refilled at `perMinute`
+    user: { burst: 3, perMinute: 2 },       // per viewer, across streams
+    global: { burst: 8, perMinute: 10 },    // per stream, every reply but commands (slower if the quota plan says so)
+    categories: {                           // per stream, one bucket per kind of reply
+        greetings: { burst: 3, perMinute: 3 },
+        reactions: { burst: 3, perMinute: 4 },
+        commands: { burst: 5, perMinute: 8 }
+    },
+    // Viewers who set off this many triggers inside the window are muted for a while
+    spam: { triggers: 5, windowSeconds: 60, muteMinutes: 10 },
+    // Other chat bots, by display name or channel ID - never answered
+    ignoreUsers: ['Nightbot', 'StreamElements', 'Streamlabs', 'Moobot', 'Fossabot']
+};
+
+// Starts full, refills continuously
+class TokenBucket {
+    constructor({ burst, perMinute }, now = Date.now()) {
+        this.capacity = burst;
+        this.perMs = perMinute / 60000;
+        this.tokens = burst;
+        this.updatedAt = now;
+    }
+
+    available(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.perMs);
+        this.updatedAt = now;
+        return this.tokens >= 1;
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+
+    // Change the refill rate, keeping what has built up so far
+    setRate(perMinute, now = Date.now()) {
+        this.available(now);
+        this.perMs = perMinute / 60000;
+    }
+
+    // Where the bucket is, for the restart checkpoint
+    toJSON() {
+        return { tokens: this.tokens, perMinute: this.perMs * 60000, updatedAt: this.updatedAt };
+    }
+
+    // Carry on from a saved toJSON(); the burst is whatever the config says now
+    static restore(limit, saved) {
+        const bucket = new TokenBucket(limit, saved.updatedAt);
+        bucket.tokens = Math.min(limit.burst, saved.tokens);
+        bucket.perMs = saved.perMinute / 60000;
+        return bucket;
+    }
+}
+
+// Who the bot answers and how often: per-viewer, per-stream and per-category token
+// buckets, trigger-spam mutes and an ignore list for other bots
+class ReplyLimiter {
+    constructor(options = {}) {
+        this.settings = {
+            ...DEFAULTS,
+            ...options,
+            user: { ...DEFAULTS.user, ...(options.user || {}) },
+            global: { ...DEFAULTS.global, ...(options.global || {}) },
+            categories: { ...DEFAULTS.categories, ...(options.categories || {}) },
+            spam: { ...DEFAULTS.spam, ...(options.spam || {}) }
+        };
+        this.ignored = new Set(this.settings.ignoreUsers.map(user => user.toLowerCase()));
+        // channelId -> { bucket, triggers, mutedUntil }
+        this.users = new Map();
+        // "videoId" and "videoId:category" -> bucket
+        this.buckets = new Map();
+        this.counters = { held: 0, muted: 0, ignored: 0 };
+    }
+
+    // Build settings from the optional config file plus environment overrides
+    static fromFile(filePath, overrides = {}) {
+        const { resolved, settings: fileSettings } = readConfigFile(filePath, 'reply limits');
+
+        const { ignoreUsers: extraIgnored = [], ...rest } = overrides;
+        const settings = { ...fileSettings, ...rest };
+        settings.ignoreUsers = [...(fileSettings.ignoreUsers || DEFAULTS.ignoreUsers), ...extraIgnored];
+
+        const limiter = new ReplyLimiter(settings);
+        const { user, global, categories } = limiter.settings;
+        const problems = Object.entries({ user, global, ...categories })
+            .filter(([, limit]) => !(limit.burst >= 1) || !(limit.perMinute > 0))
+            .map(([name]) => `"${name}" needs a burst of at least 1 and a positive perMinute`);
+        if (problems.length > 0) {
+            throw new Error(`Invalid reply limits config ${resolved}: ${problems.join('; ')}`);
+        }
+        return limiter;
+    }
+
+    // Another bot on the ignore list
+    isIgnored(authorDetails = {}) {
+        const listed = this.ignored.has(String(authorDetails.channelId || '').toLowerCase()) ||
+            this.ignored.has(String(authorDetails.displayName || '').toLowerCase());
+        if (listed) this.counters.ignored += 1;
+        return listed;
+    }
+
+    userState(userId, now) {
+        if (!this.users.has(userId)) {
+            this.users.set(userId, { bucket: new TokenBucket(this.settings.user, now), triggers: [], mutedUntil: 0 });
+        }
+        return this.users.get(userId);
+    }
+
+    bucket(key, limit, now) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new TokenBucket(limit, now));
+        }
+        return this.buckets.get(key);
+    }
+
+    // Note a message that would make the bot reply (a command or a matching rule)
+    // Returns 'muted' or 'spam' when the viewer is farming replies, null otherwise
+    trigger(request, now = Date.now()) {
+        if (this.isExempt(request)) return null;
+
+        const { triggers, windowSeconds, muteMinutes } = this.settings.spam;
+        const state = this.userState(request.userId, now);
+        if (state.mutedUntil > now) return 'muted';
+
+        state.triggers = state.triggers.filter(time => now - time < windowSeconds * 1000);
+        state.triggers.push(now);
+        if (state.triggers.length >= triggers) {
+            state.mutedUntil = now + muteMinutes * 60 * 1000;
+            state.triggers = [];
+            this.counters.muted += 1;
+            log.warn('Viewer muted for spamming triggers', { authorChannelId: request.userId, minutes: muteMinutes });
+            return 'spam';
+        }
+        return null;
+    }
+
+    // The owner and moderators (everyone, with limits turned off) skip the per-viewer and
+    // per-category limits; only the stream's pacing applies to them
+    isExempt({ role }) {
+        return !this.settings.enabled || EXEMPT_ROLES.includes(role);
+    }
+
+    // Buckets a reply has to get through; category null checks just the viewer and the stream
+    // Commands stay out of the stream's bucket: pace() slows it to the ambient reply budget,
+    // and a viewer asking for !points shouldn't wait on that
+    bucketsFor(request, now) {
+        const { userId, category, streamKey } = request;
+        const stream = category === 'commands' ? [] : [['global', this.bucket(streamKey, this.settings.global, now)]];
+        if (this.isExempt(request)) return stream;
+
+        const buckets = [['user', this.userState(userId, now).bucket], ...stream];
+        const limit = category && this.settings.categories[category];
+        if (limit) {
+            buckets.push([category, this.bucket(`${streamKey}:${category}`, limit, now)]);
+        }
+        return buckets;
+    }
+
+    // Which limit would hold this reply back (null if it can go), without using anything up
+    check(request, now = Date.now()) {
+        if (!this.isExempt(request) && this.userState(request.userId, now).mutedUntil > now) return 'muted';
+        const empty = this.bucketsFor(request, now).find(([, bucket]) => !bucket.available(now));
+        return empty ? empty[0] : null;
+    }
+
+    // Like check, but uses up a token from every bucket when the reply can go
+    take(request, now = Date.now()) {
+        const limited = this.check(request, now);
+        if (limited) {
+            this.counters.held += 1;
+            return limited;
+        }
+        this.bucketsFor(request, now).forEach(([, bucket]) => bucket.take());
+        return null;
+    }
+
+    // Slow a stream's global bucket down to what its quota plan allows (null goes back to the config)
+    pace(streamKey, perMinute, now = Date.now()) {
+        const limit = this.settings.global;
+        const rate = perMinute ? Math.min(limit.perMinute, perMinute) : limit.perMinute;
+        this.bucket(streamKey, limit, now).setRate(rate, now);
+    }
+
+    // No recent triggers, no mute and a full bucket - nothing worth keeping
+    isQuiet(state, now) {
+        const windowMs = this.settings.spam.windowSeconds * 1000;
+        state.bucket.available(now);
+        return !state.triggers.some(time => now - time < windowMs) && state.mutedUntil <= now &&
+            state.bucket.tokens >= state.bucket.capacity;
+    }
+
+    // Drop a finished stream's buckets and viewers who have gone quiet
+    forget(streamKey, now = Date.now()) {
+        for (const key of [...this.buckets.keys()]) {
+            if (key === streamKey || key.startsWith(`${streamKey}:`)) this.buckets.delete(key);
+        }
+        for (const [userId, state] of this.users) {
+            if (this.isQuiet(state, now)) this.users.delete(userId);
+        }
+    }
+
+    // Buckets and mutes for the restart checkpoint, so a restart neither hands out fresh
+    // bursts nor lifts mutes early
+    state(now = Date.now()) {
+        const users = {};
+        for (const [userId, state] of this.users) {
+            if (this.isQuiet(state, now)) continue;
+            users[userId] = { bucket: state.bucket.toJSON(), triggers: state.triggers, mutedUntil: state.mutedUntil };
+        }
+        const buckets = Object.fromEntries([...this.buckets].map(([key, bucket]) => [key, bucket.toJSON()]));
+        return { buckets, users };
+    }
+
+    // Pick up from state(); buckets for categories no longer configured are dropped
+    restore(saved = {}) {
+        for (const [key, bucket] of Object.entries(saved.buckets || {})) {
+            const category = key.includes(':') ? key.slice(key.indexOf(':') + 1) : null;
+            const limit = category ? this.settings.categories[category] : this.settings.global;
+            if (limit) this.buckets.set(key, TokenBucket.restore(limit, bucket));
+        }
+        for (const [userId, user] of Object.entries(saved.users || {})) {
+            this.users.set(userId, {
+                bucket: TokenBucket.restore(this.settings.user, user.bucket),
+                triggers: user.triggers || [],
+                mutedUntil: user.mutedUntil || 0
+            });
+        }
+    }
+
+    stats(now = Date.now()) {
+        return {
+            enabled: this.settings.enabled,
+            ...this.counters,
+            mutedViewers: [...this.users.values()].filter(state => state.mutedUntil > now).length
+        };
+    }
+}
+
+module.exports = { ReplyLimiter, TokenBucket, DEFAULTS };
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'http' });
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+// Read a JSON request body (empty body -> {})
+function readJsonBody(req, limit = 64 * 1024) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            // The rest is read and thrown away rather than cutting the connection, so the
+            // client still gets the 413
+            if (tooLarge) return;
+            body += chunk;
+            if (body.length > limit) {
+                tooLarge = true;
+                body = '';
+                reject(new HttpError(413, 'Request body too large'));
+            }
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            if (!body) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Compare secrets without leaking their length or contents through timing
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Small method + path router for the status server
+//   options.authToken  - bearer token for routes registered with { auth: true }
+//   options.corsOrigin - the one origin allowed to call us from a browser
+class Router {
+    constructor(options = {}) {
+        this.authToken = options.authToken || '';
+        this.corsOrigin = options.corsOrigin || '';
+        this.routes = [];
+    }
+
+    // Register a route; path segments starting with ":" become params
+    add(method, path, handler, options = {}) {
+        const keys = [];
+        const pattern = new RegExp('^' + path.replace(/\/:(\w+)/g, (segment, key) => {
+            keys.push(key);
+            return '/([^/]+)';
+        }) + '/?$');
+        this.routes.push({
+            method,
+            path,
+            pattern,
+            keys,
+            handler,
+            auth: Boolean(options.auth),
+            // EventSource can't send headers, so some routes also take ?token=
+            queryToken: Boolean(options.queryToken)
+        });
+        return this;
+    }
+
+    get(path, handler, options) {
+        return this.add('GET', path, handler, options);
+    }
+
+    post(path, handler, options) {
+        return this.add('POST', path, handler, options);
+    }
+
+    put(path, handler, options) {
+        return this.add('PUT', path, handler, options);
+    }
+
+    applyCors(req, res) {
+        if (this.corsOrigin && req.headers.origin === this.corsOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+            res.setHeader('Vary', 'Origin');
+        }
+    }
+
+    isAuthorized(req, route, url) {
+        if (!this.authToken) return false;
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (match) return safeEqual(match[1], this.authToken);
+        return route.queryToken && url.searchParams.has('token') && safeEqual(url.searchParams.get('token'), this.authToken);
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        this.applyCors(req, res);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const matches = this.routes.filter(route => route.pattern.test(url.pathname));
+        if (matches.length === 0) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const route = matches.find(candidate => candidate.method === req.method ||
+            (candidate.method === 'GET' && req.method === 'HEAD'));
+        if (!route) {
+            res.setHeader('Allow', [...new Set(matches.map(candidate => candidate.method))].join(', '));
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        if (route.auth) {
+            if (!this.authToken) {
+                sendJson(res, 403, { error: 'Control API is disabled (set CONTROL_API_TOKEN)' });
+                return;
+            }
+            if (!this.isAuthorized(req, route, url)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                sendJson(res, 401, { error: 'Unauthorized' });
+                return;
+            }
+        }
+
+        try {
+            const params = {};
+            const values = url.pathname.match(route.pattern).slice(1);
+            route.keys.forEach((key, index) => {
+                try {
+                    params[key] = decodeURIComponent(values[index]);
+                } catch (error) {
+                    throw new HttpError(400, `Malformed ${key} in URL`);
+                }
+            });
+
+            await route.handler(req, res, { url, params, query: url.searchParams });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                log.error('Request failed', { method: req.method, path: url.pathname, error });
+            }
+            if (!res.headersSent) {
+                sendJson(res, statusCode, { error: error.message });
+            } else {
+                res.end();
+            }
+        }
+    }
+}
+
+module.exports = { Router, HttpError, sendJson, readJsonBody, safeEqual };
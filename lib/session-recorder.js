@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'recorder' });
+
+const VIDEO_ID_PATTERN = /^[\w-]+$/;
+
+// Count occurrences and return the most common, e.g. [{ rule, count }]
+function topCounts(counts, keyName, limit) {
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .slice(0, limit)
+        .map(([key, count]) => ({ [keyName]: key, count }));
+}
+
+function increment(map, key, by = 1) {
+    map.set(key, (map.get(key) || 0) + by);
+}
+
+// Summarize a recorded session (the parsed JSONL entries)
+function buildReport(entries, options = {}) {
+    const limit = options.limit || 10;
+    const start = entries.find(entry => entry.kind === 'start') || {};
+    const end = [...entries].reverse().find(entry => entry.kind === 'end');
+
+    const startedAt = start.t || (entries[0] && entries[0].t) || null;
+    const endedAt = end ? end.t : (entries.length > 0 ? entries[entries.length - 1].t : null);
+    const durationMs = startedAt && endedAt ? new Date(endedAt) - new Date(startedAt) : 0;
+
+    const perMinute = new Map();
+    const chatters = new Map();
+    const rules = new Map();
+    const commands = new Map();
+    const languages = new Map();
+    const quotaPerHour = new Map();
+    let messages = 0;
+    let replies = 0;
+    let quotaTotal = 0;
+
+    for (const entry of entries) {
+        switch (entry.kind) {
+            case 'chat': {
+                // The bot's own messages already count as replies
+                if (entry.own) break;
+                messages += 1;
+                increment(perMinute, entry.t.slice(0, 16));
+                const key = entry.authorChannelId || entry.author;
+                const chatter = chatters.get(key) || { channelId: entry.authorChannelId, author: entry.author, messages: 0 };
+                chatter.author = entry.author;
+                chatter.messages += 1;
+                chatters.set(key, chatter);
+                if (entry.locale) increment(languages, entry.locale);
+                break;
+            }
+            case 'reply':
+                replies += 1;
+                if (entry.rule) increment(rules, entry.rule);
+                break;
+            case 'command':
+                increment(commands, entry.name);
+                break;
+            case 'quota':
+                quotaTotal += entry.cost;
+                increment(quotaPerHour, `${entry.t.slice(0, 13)}:00`, entry.cost);
+                break;
+        }
+    }
+
+    let peak = { count: 0, minute: null };
+    for (const [minute, count] of perMinute) {
+        if (count > peak.count) peak = { count, minute: `${minute}Z` };
+    }
+
+    const hours = durationMs / (60 * 60 * 1000);
+    return {
+        videoId: start.videoId || options.videoId || null,
+        title: start.title || '',
+        channelId: start.channelId || null,
+        startedAt,
+        endedAt,
+        durationMinutes: Math.round(durationMs / 60000),
+        messages,
+        uniqueChatters: chatters.size,
+        peakMessagesPerMinute: peak,
+        topChatters: [...chatters.values()].sort((a, b) => b.messages - a.messages).slice(0, limit),
+        topRules: topCounts(rules, 'rule', limit),
+        commands: topCounts(commands, 'name', limit),
+        languages: topCounts(languages, 'locale', limit),
+        replies,
+        // Share of chat messages the bot answered
+        replyRate: messages > 0 ? Math.round((replies / messages) * 1000) / 1000 : 0,
+        repliesPerHour: hours > 0 ? Math.round((replies / hours) * 10) / 10 : replies,
+        quota: {
+            total: quotaTotal,
+            perHour: [...quotaPerHour.entries()].map(([hour, units]) => ({ hour: `${hour}Z`, units }))
+        }
+    };
+}
+
+// Viewer names and titles starting with = + - @ (or a tab or CR) would run as formulas in a
+// spreadsheet, so they get a leading quote
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per figure: section,name,value
+function reportToCsv(report) {
+    const rows = [['section', 'name', 'value']];
+    for (const key of ['videoId', 'title', 'startedAt', 'endedAt', 'durationMinutes', 'messages',
+        'uniqueChatters', 'replies', 'replyRate', 'repliesPerHour']) {
+        rows.push(['summary', key, report[key]]);
+    }
+    rows.push(['summary', 'peakMessagesPerMinute', report.peakMessagesPerMinute.count]);
+    rows.push(['summary', 'peakMinute', report.peakMessagesPerMinute.minute]);
+    rows.push(['summary', 'quotaTotal', report.quota.total]);
+    report.topChatters.forEach(chatter => rows.push(['topChatter', chatter.author, chatter.messages]));
+    report.topRules.forEach(({ rule, count }) => rows.push(['rule', rule, count]));
+    report.commands.forEach(({ name, count }) => rows.push(['command', name, count]));
+    // Reports saved before languages were recorded don't have them
+    (report.languages || []).forEach(({ locale, count }) => rows.push(['language', locale, count]));
+    report.quota.perHour.forEach(({ hour, units }) => rows.push(['quotaPerHour', hour, units]));
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Appends everything that happens in a stream to data/sessions/<videoId>.jsonl
+// and writes <videoId>.report.json when the stream ends
+class SessionRecorder {
+    constructor(options = {}) {
+        this.dir = path.resolve(process.cwd(), options.dir || 'data/sessions');
+        this.enabled = options.enabled !== false;
+        this.open = new Set();
+    }
+
+    filePath(videoId, suffix = '.jsonl') {
+        if (!VIDEO_ID_PATTERN.test(videoId)) {
+            throw new Error(`Invalid video ID: ${videoId}`);
+        }
+        return path.join(this.dir, `${videoId}${suffix}`);
+    }
+
+    append(videoId, entry) {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            // Synchronous so lines stay in order and nothing is lost on a crash
+            fs.appendFileSync(this.filePath(videoId), JSON.stringify({ t: new Date().toISOString(), ...entry }) + '\n');
+        } catch (error) {
+            log.error('Could not record session', { videoId, error });
+        }
+    }
+
+    // Begin (or, after a restart, continue) recording a stream
+    start(session) {
+        if (!this.enabled || this.open.has(session.videoId)) return;
+        this.open.add(session.videoId);
+        this.append(session.videoId, {
+            kind: 'start',
+            videoId: session.videoId,
+            channelId: session.channelId,
+            title: session.title
+        });
+    }
+
+    // kind: chat, reply, command or quota
+    record(videoId, kind, data = {}) {
+        if (!videoId || !this.open.has(videoId)) return;
+        this.append(videoId, { kind, ...data });
+    }
+
+    readEntries(videoId) {
+        const file = this.filePath(videoId);
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null; // Half-written last line after a crash
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // Stop recording and write the report (null if the stream wasn't recorded)
+    finish(videoId) {
+        if (!this.open.has(videoId)) return null;
+        this.append(videoId, { kind: 'end' });
+        this.open.delete(videoId);
+
+        const report = buildReport(this.readEntries(videoId), { videoId });
+        try {
+            fs.writeFileSync(this.filePath(videoId, '.report.json'), JSON.stringify(report, null, 2));
+        } catch (error) {
+            log.error('Could not save session report', { videoId, error });
+        }
+        return report;
+    }
+
+    // Saved reports, newest first
+    listReports() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.report.json'))
+            .map(name => this.getReport(name.slice(0, -'.report.json'.length)))
+            .filter(Boolean)
+            .map(report => ({
+                videoId: report.videoId,
+                title: report.title,
+                startedAt: report.startedAt,
+                endedAt: report.endedAt,
+                messages: report.messages,
+                uniqueChatters: report.uniqueChatters
+            }))
+            .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+    }
+
+    getReport(videoId) {
+        if (!VIDEO_ID_PATTERN.test(videoId)) return null;
+        const file = this.filePath(videoId, '.report.json');
+        if (!fs.existsSync(file)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            log.error('Could not read session report', { file, error });
+            return null;
+        }
+    }
+}
+
+module.exports = { SessionRecorder, buildReport, reportToCsv };
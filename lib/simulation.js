@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline stand-in for the parts of googleapis' youtube v3 client the bot uses.
+// A script describes one broadcast: when it goes live and ends, what chat says and
+// which calls should fail. Script times are seconds from the start of the simulation.
+
+// Error shaped like the ones googleapis throws for YouTube API failures
+function apiError(code, reason, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.errors = [{ domain: 'youtube', reason, message }];
+    error.response = {
+        status: code,
+        data: { error: { code, message, errors: error.errors } }
+    };
+    return error;
+}
+
+const ERRORS = {
+    quotaExceeded: () => apiError(403, 'quotaExceeded', 'The request cannot be completed because you have exceeded your quota.'),
+    rateLimitExceeded: () => apiError(403, 'rateLimitExceeded', 'The request was sent too quickly.'),
+    liveChatEnded: () => apiError(403, 'liveChatEnded', 'The live chat is no longer live.'),
+    liveChatDisabled: () => apiError(403, 'liveChatDisabled', 'Live chat is disabled for this broadcast.'),
+    liveChatNotFound: () => apiError(404, 'liveChatNotFound', 'The live chat was not found.'),
+    forbidden: () => apiError(403, 'forbidden', 'The request is not properly authorized.'),
+    authError: () => apiError(401, 'authError', 'Invalid Credentials'),
+    backendError: () => apiError(503, 'backendError', 'Backend Error')
+};
+
+// Read and fill in defaults for a simulation script (JSON)
+function loadScript(filePath) {
+    const resolved = path.resolve(process.cwd(), filePath);
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid simulation script ${resolved}: ${error.message}`);
+    }
+    return normalizeScript(raw);
+}
+
+function normalizeScript(raw) {
+    const events = (raw.events || []).map((event, index) => ({ ...event, at: Number(event.at) || 0, index }));
+    for (const event of events) {
+        if (event.action === 'fail' && !ERRORS[event.reason]) {
+            throw new Error(`Unknown simulated error "${event.reason}" (expected ${Object.keys(ERRORS).join('/')})`);
+        }
+    }
+
+    return {
+        channelId: raw.channelId || 'UCsimulated0000000000000',
+        videoId: raw.videoId || 'simVideo001',
+        liveChatId: raw.liveChatId || 'simLiveChat001',
+        title: raw.title || 'Simulated stream',
+        // Seconds from the start of the simulation, used while the stream is upcoming
+        scheduledStart: raw.scheduledStart ?? null,
+        // Seconds from the start of the simulation, reported as the broadcast's scheduled end
+        scheduledEnd: raw.scheduledEnd ?? null,
+        pollingIntervalMillis: raw.pollingIntervalMillis || 2000,
+        // Events in time order, file order breaks ties
+        events: events.sort((a, b) => a.at - b.at || a.index - b.index)
+    };
+}
+
+class FakeYouTube {
+    constructor(script, options = {}) {
+        this.script = script.events ? normalizeScript(script) : loadScript(script);
+        // Scripted seconds per real second
+        this.speed = options.speed || 1;
+        this.botName = options.botName || 'Bot';
+        this.botChannelId = options.botChannelId || 'UCsimulatedbot0000000000';
+        this.startedAt = Date.now();
+
+        // What the bot did, for tests and the end-of-run summary
+        this.sent = [];
+        this.moderation = [];
+        this.calls = [];
+
+        // Chat in the order it appeared; page tokens are positions in this list
+        this.chatLog = [];
+        this.scriptedShown = new Set();
+        this.usedFailures = new Map();
+
+        this.search = { list: params => this.call('search.list', params, () => this.searchList(params)) };
+        this.videos = { list: params => this.call('videos.list', params, () => this.videosList(params)) };
+        this.playlistItems = { list: params => this.call('playlistItems.list', params, () => this.playlistItemsList(params)) };
+        this.channels = { list: params => this.call('channels.list', params, () => this.channelsList(params)) };
+        this.liveBroadcasts = { list: params => this.call('liveBroadcasts.list', params, () => this.liveBroadcastsList(params)) };
+        this.liveChatMessages = {
+            list: params => this.call('liveChatMessages.list', params, () => this.chatList(params)),
+            insert: params => this.call('liveChatMessages.insert', params, () => this.chatInsert(params)),
+            delete: params => this.call('liveChatMessages.delete', params, () => this.chatDelete(params))
+        };
+        this.liveChatBans = { insert: params => this.call('liveChatBans.insert', params, () => this.banInsert(params)) };
+    }
+
+    // Scripted seconds since the simulation started
+    elapsed() {
+        return ((Date.now() - this.startedAt) / 1000) * this.speed;
+    }
+
+    timeAt(seconds) {
+        return new Date(this.startedAt + (seconds * 1000) / this.speed).toISOString();
+    }
+
+    due() {
+        const now = this.elapsed();
+        return this.script.events.filter(event => event.at <= now);
+    }
+
+    // upcoming (scheduled), live, ended or none (not announced yet)
+    status() {
+        let status = this.script.scheduledStart !== null ? 'upcoming' : 'none';
+        for (const event of this.due()) {
+            if (event.action === 'schedule') status = 'upcoming';
+            if (event.action === 'start') status = 'live';
+            if (event.action === 'end') status = 'ended';
+        }
+        return status;
+    }
+
+    // Waiting-room chat opens with an openChat event before the stream starts
+    chatOpen() {
+        const status = this.status();
+        if (status === 'live') return true;
+        return status === 'upcoming' && this.due().some(event => event.action === 'openChat');
+    }
+
+    // Run a fake API call, throwing the next scripted failure for this method if one is armed
+    async call(method, params, handler) {
+        this.calls.push({ method, params, at: this.elapsed() });
+
+        for (const event of this.due()) {
+            if (event.action !== 'fail' || (event.method && event.method !== method)) continue;
+            const used = this.usedFailures.get(event.index) || 0;
+            if (used < (event.times || 1)) {
+                this.usedFailures.set(event.index, used + 1);
+                throw ERRORS[event.reason]();
+            }
+        }
+
+        return { data: handler() };
+    }
+
+    isOurChannel(channelId) {
+        return !channelId || channelId === this.script.channelId;
+    }
+
+    searchList(params) {
+        const live = this.status() === 'live' && this.isOurChannel(params.channelId);
+        return {
+            items: live ? [{
+                id: { kind: 'youtube#video', videoId: this.script.videoId },
+                snippet: { channelId: this.script.channelId, title: this.script.title, liveBroadcastContent: 'live' }
+            }] : []
+        };
+    }
+
+    playlistItemsList(params) {
+        const uploads = this.script.channelId.replace(/^UC/, 'UU');
+        const announced = this.status() !== 'none';
+        return {
+            items: announced && params.playlistId === uploads
+                ? [{ contentDetails: { videoId: this.script.videoId } }]
+                : []
+        };
+    }
+
+    videosList(params) {
+        const ids = [].concat(params.id || []);
+        const status = this.status();
+        if (!ids.includes(this.script.videoId) || status === 'none') return { items: [] };
+
+        const scheduledStart = this.script.scheduledStart ?? 0;
+        const startEvent = this.due().find(event => event.action === 'start');
+        const endEvent = this.due().find(event => event.action === 'end');
+        return {
+            items: [{
+                id: this.script.videoId,
+                snippet: {
+                    channelId: this.script.channelId,
+                    title: this.script.title,
+                    liveBroadcastContent: status === 'ended' ? 'none' : status
+                },
+                liveStreamingDetails: {
+                    scheduledStartTime: this.timeAt(scheduledStart),
+                    scheduledEndTime: this.script.scheduledEnd !== null ? this.timeAt(this.script.scheduledEnd) : undefined,
+                    actualStartTime: startEvent ? this.timeAt(startEvent.at) : undefined,
+                    actualEndTime: endEvent ? this.timeAt(endEvent.at) : undefined,
+                    activeLiveChatId: this.chatOpen() ? this.script.liveChatId : undefined
+                }
+            }]
+        };
+    }
+
+    // mine=true is the only lookup the bot makes: the account it posts as
+    channelsList(params) {
+        return { items: params.mine ? [{ id: this.botChannelId }] : [] };
+    }
+
+    liveBroadcastsList() {
+        const status = this.status();
+        if (status === 'none') return { items: [] };
+        const lifeCycleStatus = { upcoming: 'ready', live: 'live', ended: 'complete' }[status];
+        return {
+            items: [{
+                id: this.script.videoId,
+                snippet: {
+                    channelId: this.script.channelId,
+                    title: this.script.title,
+                    scheduledStartTime: this.timeAt(this.script.scheduledStart ?? 0),
+                    scheduledEndTime: this.script.scheduledEnd !== null ? this.timeAt(this.script.scheduledEnd) : undefined,
+                    liveChatId: this.script.liveChatId
+                },
+                status: { lifeCycleStatus }
+            }]
+        };
+    }
+
+    checkChat(liveChatId) {
+        if (liveChatId !== this.script.liveChatId) throw ERRORS.liveChatNotFound();
+        if (this.status() === 'ended') throw ERRORS.liveChatEnded();
+        if (!this.chatOpen()) throw ERRORS.liveChatDisabled();
+    }
+
+    // Add scripted chat that is now due to the log
+    syncChat() {
+        for (const event of this.due()) {
+            if (event.text === undefined && !event.type) continue;
+            if (this.scriptedShown.has(event.index)) continue;
+            this.scriptedShown.add(event.index);
+            this.chatLog.push(this.toChatMessage(event));
+        }
+        return this.chatLog;
+    }
+
+    toChatMessage(event) {
+        const type = event.type || 'textMessageEvent';
+        const snippet = {
+            type,
+            liveChatId: this.script.liveChatId,
+            publishedAt: this.timeAt(event.at),
+            displayMessage: event.text || '',
+            ...(event.details || {})
+        };
+        if (type === 'textMessageEvent') {
+            snippet.textMessageDetails = { messageText: event.text };
+        }
+
+        const role = event.role || 'everyone';
+        return {
+            id: `simMessage${event.index}`,
+            snippet,
+            authorDetails: {
+                displayName: event.author || 'Viewer',
+                channelId: event.channelId || `UCsim${(event.author || 'viewer').replace(/\W/g, '')}`,
+                isChatOwner: role === 'owner',
+                isChatModerator: role === 'moderator',
+                isChatSponsor: role === 'member' || Boolean(event.member),
+                isVerified: false
+            }
+        };
+    }
+
+    chatList(params) {
+        this.checkChat(params.liveChatId);
+        const items = this.syncChat();
+        // Page tokens are just how many messages the caller has already seen
+        const seen = parseInt(params.pageToken, 10) || 0;
+        return {
+            items: items.slice(seen),
+            nextPageToken: String(items.length),
+            pollingIntervalMillis: this.script.pollingIntervalMillis,
+            pageInfo: { totalResults: items.length }
+        };
+    }
+
+    chatInsert(params) {
+        const snippet = params.requestBody.snippet;
+        this.checkChat(snippet.liveChatId);
+
+        const text = snippet.textMessageDetails.messageText;
+        const at = this.elapsed();
+        const time = this.timeAt(at);
+        this.sent.push({ liveChatId: snippet.liveChatId, text, at, time });
+
+        // YouTube returns the bot's own messages to it on the next poll
+        const echo = {
+            id: `simReply${this.sent.length}`,
+            snippet: {
+                type: 'textMessageEvent',
+                liveChatId: snippet.liveChatId,
+                publishedAt: time,
+                displayMessage: text,
+                textMessageDetails: { messageText: text },
+                authorChannelId: this.botChannelId
+            },
+            authorDetails: { displayName: this.botName, channelId: this.botChannelId }
+        };
+        this.syncChat();
+        this.chatLog.push(echo);
+        return echo;
+    }
+
+    chatDelete(params) {
+        this.moderation.push({ action: 'delete', id: params.id, at: this.elapsed() });
+        return {};
+    }
+
+    banInsert(params) {
+        const snippet = params.requestBody.snippet;
+        this.moderation.push({
+            action: snippet.type === 'permanent' ? 'ban' : 'timeout',
+            channelId: snippet.bannedUserDetails.channelId,
+            at: this.elapsed()
+        });
+        return { snippet };
+    }
+
+    // Real milliseconds until the last scripted event
+    remainingMs() {
+        const last = this.script.events[this.script.events.length - 1];
+        const left = last ? last.at - this.elapsed() : 0;
+        return Math.max(0, (left * 1000) / this.speed);
+    }
+
+    // Has every scripted event happened?
+    isFinished() {
+        const last = this.script.events[this.script.events.length - 1];
+        return !last || this.elapsed() >= last.at;
+    }
+}
+
+module.exports = { FakeYouTube, loadScript, normalizeScript, apiError, ERRORS };
@@ -0,0 +1,75 @@
+const { BudgetPlanner } = require('./budget');
+
+// One monitored broadcast: its own chat, page token, polling loop and quota budget
+class StreamSession {
+    constructor(broadcast, budgetOptions = {}) {
+        this.videoId = broadcast.videoId;
+        this.channelId = broadcast.channelId || null;
+        this.title = broadcast.title || '';
+        this.status = broadcast.status || 'live';
+        this.scheduledStartTime = broadcast.scheduledStartTime || null;
+        this.scheduledEndTime = broadcast.scheduledEndTime || null;
+        this.liveChatId = broadcast.liveChatId || null;
+
+        this.nextPageToken = null;
+        // Take the next page token without acting on the messages (rejoining without a
+        // usable token would otherwise answer the backlog again)
+        this.skipBacklog = false;
+        this.isRunning = false;
+        this.pollTimer = null;
+        // A liveChatMessages.list call (and the replies to it) is under way
+        this.polling = false;
+        this.lastPollTime = null;
+        // Chat polls that failed in a row
+        this.pollFailures = 0;
+        this.connectedAt = null;
+        // A support roll-up went out, so the one before the scheduled end isn't needed
+        this.rollupPosted = false;
+        this.budget = new BudgetPlanner(budgetOptions);
+    }
+
+    // Refresh details from a newer discovery result (returns true if it just went live)
+    update(broadcast) {
+        const wentLive = this.status !== 'live' && broadcast.status === 'live';
+        this.title = broadcast.title || this.title;
+        this.status = broadcast.status || this.status;
+        this.scheduledStartTime = broadcast.scheduledStartTime || this.scheduledStartTime;
+        this.scheduledEndTime = broadcast.scheduledEndTime || this.scheduledEndTime;
+        this.liveChatId = this.liveChatId || broadcast.liveChatId || null;
+        return wentLive;
+    }
+
+    // Where this chat was, for the restart checkpoint
+    checkpoint() {
+        return {
+            videoId: this.videoId,
+            channelId: this.channelId,
+            liveChatId: this.liveChatId,
+            nextPageToken: this.nextPageToken
+        };
+    }
+
+    // Stop polling this chat
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    toJSON() {
+        return {
+            videoId: this.videoId,
+            channelId: this.channelId,
+            title: this.title,
+            status: this.status,
+            scheduledStartTime: this.scheduledStartTime,
+            scheduledEndTime: this.scheduledEndTime,
+            liveChatId: this.liveChatId,
+            isRunning: this.isRunning,
+            connectedAt: this.connectedAt ? this.connectedAt.toISOString() : null,
+            budget: this.budget.plan
+        };
+    }
+}
+
+module.exports = { StreamSession };
@@ -0,0 +1,221 @@
+const { readConfigFile } = require('./files');
+const { render } = require('./personality');
+
+const DEFAULTS = {
+    enabled: true,
+    // Thank-you lines per event type; one is picked at random
+    // Placeholders: {author} {amount} {tier} {sticker} {comment} {level} {months} {count}
+    thankYou: {
+        superChatEvent: [
+            'Thank you so much for the {amount} Super Chat, {author}! 💛',
+            '{author} with the {amount} Super Chat! You\'re awesome! 🔥'
+        ],
+        superStickerEvent: [
+            'Thanks for the {sticker} sticker, {author}! 💛'
+        ],
+        newSponsorEvent: [
+            'Welcome to the {level} crew, {author}! 🎉'
+        ],
+        memberMilestoneChatEvent: [
+            '{months} months as a member! Thank you {author}! 🙌'
+        ],
+        membershipGiftingEvent: [
+            '{author} just gifted {count} memberships! Legend! 🎁'
+        ]
+    },
+    // Posted by !thanks, before a scheduled end and when monitoring is stopped;
+    // {summary} and {supporters} are filled in
+    rollup: 'Thanks for all the support today! {summary} Shout-out to {supporters} 💛',
+    rollupSupporters: 5,
+    // How long before the broadcast's scheduled end the roll-up goes out
+    rollupMinutesBeforeEnd: 2
+};
+
+// Pull the useful fields out of each supported event type
+const EXTRACTORS = {
+    superChatEvent: snippet => {
+        const details = snippet.superChatDetails || {};
+        return {
+            amount: details.amountDisplayString,
+            amountMicros: Number(details.amountMicros) || 0,
+            currency: details.currency,
+            tier: details.tier,
+            comment: details.userComment || ''
+        };
+    },
+    superStickerEvent: snippet => {
+        const details = snippet.superStickerDetails || {};
+        return {
+            amount: details.amountDisplayString,
+            amountMicros: Number(details.amountMicros) || 0,
+            currency: details.currency,
+            tier: details.tier,
+            sticker: details.superStickerMetadata?.altText || 'Super Sticker'
+        };
+    },
+    newSponsorEvent: snippet => {
+        const details = snippet.newSponsorDetails || {};
+        return { level: details.memberLevelName || 'member', upgrade: Boolean(details.isUpgrade) };
+    },
+    memberMilestoneChatEvent: snippet => {
+        const details = snippet.memberMilestoneChatDetails || {};
+        return {
+            level: details.memberLevelName || 'member',
+            months: details.memberMonth,
+            comment: details.userComment || ''
+        };
+    },
+    membershipGiftingEvent: snippet => {
+        const details = snippet.membershipGiftingDetails || {};
+        return {
+            level: details.giftMembershipsLevelName || 'member',
+            count: details.giftMembershipsCount || 1
+        };
+    }
+};
+
+const SUPPORT_TYPES = Object.keys(EXTRACTORS);
+
+function emptyTally() {
+    return {
+        superChats: 0,
+        superStickers: 0,
+        newMembers: 0,
+        milestones: 0,
+        giftedMemberships: 0,
+        // Paid amounts per currency, in micros
+        amounts: {},
+        // channelId -> { name, count }; display names aren't unique
+        supporters: {}
+    };
+}
+
+// Thank-you messages and per-stream tallies for Super Chats, stickers and memberships
+class SupportTracker {
+    constructor(options = {}) {
+        this.settings = {
+            ...DEFAULTS,
+            ...options,
+            thankYou: { ...DEFAULTS.thankYou, ...(options.thankYou || {}) }
+        };
+        this.random = options.random || Math.random;
+        this.tallies = new Map();
+        // streamKey -> events counted in the last roll-up
+        this.rolledUp = new Map();
+    }
+
+    // Build settings from the optional config file plus environment overrides
+    static fromFile(filePath, overrides = {}) {
+        const { resolved, settings: fileSettings } = readConfigFile(filePath, 'support');
+
+        const settings = { ...fileSettings, ...overrides };
+        const unknown = Object.keys(settings.thankYou || {}).filter(type => !SUPPORT_TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid support config ${resolved}: unknown event type(s) ${unknown.join(', ')}`);
+        }
+        return new SupportTracker(settings);
+    }
+
+    isSupportEvent(type) {
+        return SUPPORT_TYPES.includes(type);
+    }
+
+    // Turn a liveChatMessages item into a support event, or null for other types
+    describe(message) {
+        const type = message.snippet.type;
+        if (!this.isSupportEvent(type)) return null;
+
+        return {
+            type,
+            author: message.authorDetails.displayName,
+            channelId: message.authorDetails.channelId,
+            ...EXTRACTORS[type](message.snippet)
+        };
+    }
+
+    // Rendered thank-you line for an event (null when disabled or no template)
+    thankYou(event) {
+        if (!this.settings.enabled) return null;
+        const templates = [].concat(this.settings.thankYou[event.type] || []);
+        if (templates.length === 0) return null;
+        return render(templates[Math.floor(this.random() * templates.length)], event);
+    }
+
+    // Add an event to the stream's tally
+    record(streamKey, event) {
+        if (!this.tallies.has(streamKey)) {
+            this.tallies.set(streamKey, emptyTally());
+        }
+        const tally = this.tallies.get(streamKey);
+
+        switch (event.type) {
+            case 'superChatEvent':
+                tally.superChats += 1;
+                break;
+            case 'superStickerEvent':
+                tally.superStickers += 1;
+                break;
+            case 'newSponsorEvent':
+                tally.newMembers += 1;
+                break;
+            case 'memberMilestoneChatEvent':
+                tally.milestones += 1;
+                break;
+            case 'membershipGiftingEvent':
+                tally.giftedMemberships += event.count;
+                break;
+        }
+
+        if (event.amountMicros && event.currency) {
+            tally.amounts[event.currency] = (tally.amounts[event.currency] || 0) + event.amountMicros;
+        }
+        const supporter = tally.supporters[event.channelId] || { name: event.author, count: 0 };
+        supporter.name = event.author;
+        supporter.count += 1;
+        tally.supporters[event.channelId] = supporter;
+        return tally;
+    }
+
+    tally(streamKey) {
+        return this.tallies.get(streamKey) || null;
+    }
+
+    // Thank-you for everyone who supported this stream so far, or null if nobody has
+    // onlyNew also gives null when nothing came in since the last roll-up
+    rollup(streamKey, { onlyNew = false } = {}) {
+        const tally = this.tally(streamKey);
+        if (!this.settings.enabled || !tally) return null;
+
+        const events = Object.values(tally.supporters).reduce((sum, supporter) => sum + supporter.count, 0);
+        if (onlyNew && this.rolledUp.get(streamKey) === events) return null;
+        this.rolledUp.set(streamKey, events);
+
+        const parts = [];
+        const add = (count, singular, plural) => {
+            if (count > 0) parts.push(`${count} ${count === 1 ? singular : plural}`);
+        };
+        add(tally.superChats, 'Super Chat', 'Super Chats');
+        add(tally.superStickers, 'Super Sticker', 'Super Stickers');
+        add(tally.newMembers, 'new member', 'new members');
+        add(tally.milestones, 'member milestone', 'member milestones');
+        add(tally.giftedMemberships, 'gifted membership', 'gifted memberships');
+
+        // Most frequent supporters first
+        const supporters = Object.values(tally.supporters)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, this.settings.rollupSupporters)
+            .map(supporter => supporter.name);
+
+        return render(this.settings.rollup, {
+            summary: `${parts.join(', ')}.`,
+            supporters: supporters.join(', ')
+        });
+    }
+
+    clear(streamKey) {
+        this.tallies.delete(streamKey);
+        this.rolledUp.delete(streamKey);
+    }
+}
+
+module.exports = { SupportTracker, SUPPORT_TYPES, DEFAULTS };
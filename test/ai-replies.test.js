@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MockProvider } = require('../lib/llm');
+const { createBot, chatMessage, waitFor } = require('./helpers');
+
+function setup(t, env = {}) {
+    const { bot, cleanup } = createBot({ env: { AI_PROVIDER: 'mock', ...env } });
+    t.after(cleanup);
+    const sent = [];
+    bot.sendMessage = async (text, liveChatId, options = {}) => sent.push({ text, ...options }) > 0;
+    bot.applyModeration = async () => 'deleted';
+    bot.personality.random = () => 0;
+    const session = {
+        videoId: 'video1',
+        liveChatId: 'chat1',
+        status: 'live',
+        title: 'Test stream',
+        budget: { canReply: () => true }
+    };
+    const say = (text, author = { displayName: 'Alice', channelId: 'UCalice' }) =>
+        bot.processMessage(chatMessage(text, author), session);
+    return { bot, sent, say };
+}
+
+test('the mock provider answers viewers who address the bot', async (t) => {
+    const { bot, sent, say } = setup(t);
+    bot.llm.provider = new MockProvider({ replies: ['hey Alice, glad you are here'] });
+
+    await say('this run is going well');
+    await say(`@${bot.config.botName} how long have you been streaming?`);
+    await waitFor(() => sent.some(message => message.rule === 'ai'), 2000, 'the AI reply');
+
+    assert.equal(sent.find(message => message.rule === 'ai').text, 'hey Alice, glad you are here');
+    const prompt = bot.llm.provider.calls[0];
+    assert.equal(prompt[0].role, 'system');
+    assert.deepEqual(prompt.slice(1).map(line => line.content), [
+        'Alice: this run is going well',
+        `Alice: @${bot.config.botName} how long have you been streaming?`
+    ]);
+});
+
+test('moderated messages never reach the AI prompt', async (t) => {
+    const { bot, sent, say } = setup(t);
+    const spammer = { displayName: 'Spammer', channelId: 'UCspam' };
+
+    await say('free robux at evil.ru/claim', spammer);
+    await say(`hey @${bot.config.botName}`);
+    await waitFor(() => sent.some(message => message.rule === 'ai'), 2000, 'the AI reply');
+
+    const prompt = bot.llm.provider.calls[0].map(line => line.content).join('\n');
+    assert.doesNotMatch(prompt, /evil\.ru/);
+    assert.equal(bot.moderator.log.length, 1);
+});
+
+test('a slow model doesn\'t hold up chat, and a timeout falls back to a canned line', async (t) => {
+    const { bot, sent, say } = setup(t, { AI_TIMEOUT_MS: '100' });
+    bot.llm.provider = new MockProvider({ delayMs: 500 });
+
+    const started = Date.now();
+    await say(`${bot.config.botName} what an amazing play`);
+    assert.ok(Date.now() - started < 100, 'processMessage returned before the model answered');
+    assert.equal(sent.length, 0);
+
+    await waitFor(() => sent.length === 1, 2000, 'the fallback reply');
+    assert.notEqual(sent[0].rule, 'ai');
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { classifyApiError, CircuitBreaker } = require('../lib/api-errors');
+const { ERRORS, apiError } = require('../lib/simulation');
+const { createBot, waitFor } = require('./helpers');
+
+const FAST = {
+    MIN_POLL_INTERVAL_MS: '20',
+    SIMULATION_CHECK_SECONDS: '1',
+    API_BACKOFF_BASE_MS: '20'
+};
+
+test('YouTube errors are classified by reason, then by status', () => {
+    const kinds = Object.fromEntries(Object.entries(ERRORS).map(([name, make]) => [name, classifyApiError(make()).kind]));
+    assert.deepEqual(kinds, {
+        quotaExceeded: 'quotaExceeded',
+        rateLimitExceeded: 'rateLimited',
+        liveChatEnded: 'chatEnded',
+        liveChatDisabled: 'chatUnavailable',
+        liveChatNotFound: 'chatUnavailable',
+        forbidden: 'forbidden',
+        authError: 'auth',
+        backendError: 'server'
+    });
+
+    assert.equal(classifyApiError(apiError(401, 'someNewReason', 'Login Required')).kind, 'auth');
+    assert.equal(classifyApiError(apiError(429, undefined, 'Too Many Requests')).retryable, true);
+    assert.equal(classifyApiError(apiError(400, 'invalidPageToken', 'Bad page token')).kind, 'other');
+    assert.deepEqual(classifyApiError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })),
+        { kind: 'network', reason: null, status: null, retryable: true });
+    assert.equal(classifyApiError(ERRORS.forbidden()).retryable, false);
+});
+
+test('circuit breaker opens after repeated failures and doubles its cooldown', () => {
+    const breaker = new CircuitBreaker('test', { threshold: 2, cooldownMs: 1000 });
+    const failure = { kind: 'server', reason: 'backendError' };
+
+    assert.equal(breaker.failure(failure, 0), false);
+    assert.equal(breaker.failure(failure, 0), true);
+    assert.equal(breaker.canRequest(500), false);
+    assert.equal(breaker.retryIn(500), 500);
+
+    // One trial call after the cooldown; failing it reopens for twice as long
+    assert.equal(breaker.canRequest(1000), true);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.failure(failure, 1000), true);
+    assert.equal(breaker.retryIn(1000), 2000);
+
+    assert.equal(breaker.canRequest(3000), true);
+    breaker.success();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.retryIn(3000), 0);
+    assert.equal(breaker.toJSON().lastFailure.reason, 'backendError');
+});
+
+test('rate-limited polls back off and carry on', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: FAST,
+        script: {
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0, action: 'fail', method: 'liveChatMessages.list', reason: 'rateLimitExceeded', times: 2 },
+                { at: 0.3, author: 'Alice', text: 'still here?' },
+                { at: 10, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+
+    await bot.startContinuousMonitoring();
+    await waitFor(() => bot.recentChat.some(entry => entry.author === 'Alice'), 5000, 'chat after the retries');
+
+    const session = [...bot.streams.values()][0];
+    assert.equal(session.isRunning, true);
+    assert.equal(session.pollFailures, 0);
+    assert.equal(bot.recentErrors.length, 2);
+    assert.equal(bot.breakers['liveChatMessages.list'].state, 'closed');
+});
+
+test('a chat that disappears mid-stream is looked up again through discovery', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: { ...FAST, SIMULATION_CHECK_SECONDS: '60' },
+        script: {
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0.2, action: 'fail', method: 'liveChatMessages.list', reason: 'liveChatNotFound' },
+                { at: 10, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+    const fake = bot.simulator;
+
+    await bot.startContinuousMonitoring();
+    const session = [...bot.streams.values()][0];
+    await waitFor(() => bot.recentErrors.length === 1, 3000, 'the chat error');
+
+    // Reconnected long before the next scheduled check
+    await waitFor(() => session.isRunning && session.liveChatId === fake.script.liveChatId, 3000, 'the reconnect');
+    assert.ok(fake.calls.filter(call => call.method === 'videos.list').length >= 2);
+    assert.equal(bot.streams.size, 1);
+});
+
+test('a breaker stops polling that keeps failing from spending quota', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: { ...FAST, API_BREAKER_THRESHOLD: '3', API_BREAKER_COOLDOWN_SECONDS: '60' },
+        script: {
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0, action: 'fail', method: 'liveChatMessages.list', reason: 'backendError', times: 100 },
+                { at: 10, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+    const fake = bot.simulator;
+
+    await bot.startContinuousMonitoring();
+    const breaker = bot.breakers['liveChatMessages.list'];
+    await waitFor(() => breaker.state === 'open', 3000, 'the breaker to open');
+
+    const polls = () => fake.calls.filter(call => call.method === 'liveChatMessages.list').length;
+    const before = polls();
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(polls(), before);
+    assert.equal(before, 3);
+    assert.equal(bot.getStatus().breakers['liveChatMessages.list'].state, 'open');
+});
+
+test('a 401 refreshes the OAuth token and retries the message', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: FAST,
+        script: {
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0, action: 'fail', method: 'liveChatMessages.insert', reason: 'authError' },
+                { at: 10, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+    let refreshes = 0;
+    bot.oauth.refresh = async () => {
+        refreshes += 1;
+        return true;
+    };
+    bot.outbound.baseBackoffMs = 10;
+
+    await bot.startContinuousMonitoring();
+    const sent = await bot.sendMessage('hello chat', bot.simulator.script.liveChatId);
+
+    assert.equal(sent, true);
+    assert.equal(refreshes, 1);
+    assert.deepEqual(bot.simulator.sent.map(message => message.text), ['hello chat']);
+});
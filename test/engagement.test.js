@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PollManager } = require('../lib/polls');
+const { Announcer } = require('../lib/announcements');
+const { createBot, chatMessage } = require('./helpers');
+
+function liveSession(videoId = 'video1') {
+    return {
+        videoId,
+        liveChatId: `${videoId}-chat`,
+        status: 'live',
+        title: 'Test stream',
+        isRunning: true,
+        budget: { canReply: () => false },
+        stop() {
+            this.isRunning = false;
+        }
+    };
+}
+
+function setup(t) {
+    const { bot, cleanup } = createBot({ env: { OWNER_USERNAME: 'Boss' } });
+    t.after(cleanup);
+    const sent = [];
+    bot.sendMessage = async (text, liveChatId, options = {}) => sent.push({ text, liveChatId, ...options }) > 0;
+    const session = liveSession();
+    bot.streams.set(session.videoId, session);
+    const say = (text, author = {}) => bot.processMessage(chatMessage(text, author), session);
+    return { bot, sent, session, say };
+}
+
+test('polls take one vote per channel and post the results', async (t) => {
+    const { bot, sent, say } = setup(t);
+
+    await say('!poll "Next game?" Elden Ring | Hades | Celeste', { displayName: 'Mod', channelId: 'UCmod', isChatModerator: true });
+    assert.match(sent[0].text, /Poll: Next game\? — 1\) Elden Ring \| 2\) Hades \| 3\) Celeste/);
+
+    await say('!vote 2', { displayName: 'Alice', channelId: 'UCalice' });
+    await say('!vote 3', { displayName: 'Alice', channelId: 'UCalice' });
+    await say('!vote 2', { displayName: 'Bob', channelId: 'UCbob' });
+    await say('!vote 9', { displayName: 'Carol', channelId: 'UCcarol' });
+    assert.equal(sent.length, 1, 'votes are counted quietly');
+
+    await say('!poll close', { displayName: 'Mod', channelId: 'UCmod', isChatModerator: true });
+    assert.equal(sent[1].text, '📊 Poll closed: Next game? — Elden Ring: 0 (0%) | Hades: 2 (100%) | Celeste: 0 (0%) — winner: Hades');
+    assert.equal(bot.polls.get('video1'), null);
+});
+
+test('viewers cannot open polls', async (t) => {
+    const { bot, sent, say } = setup(t);
+    await say('!poll "Pineapple on pizza?" yes | no', { displayName: 'Alice', channelId: 'UCalice' });
+    assert.equal(sent.length, 0);
+    assert.equal(bot.polls.get('video1'), null);
+});
+
+test('polls close on their own after the duration', async () => {
+    const closed = [];
+    const polls = new PollManager({ onClose: (streamKey, results) => closed.push({ streamKey, results }) });
+    polls.open('video1', { question: 'Quick?', options: ['yes', 'no'], durationMs: 20 });
+    polls.vote('video1', 'UCalice', 1);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(closed.length, 1);
+    assert.deepEqual(closed[0].results.winners, ['yes']);
+});
+
+test('giveaways follow their entry rules and draw each winner once', async (t) => {
+    const { bot, sent, say } = setup(t);
+
+    await say('!giveaway !join members', { displayName: 'Boss', channelId: 'UCboss', isChatOwner: true });
+    assert.match(sent[0].text, /Type !join in chat to enter \(members only\)/);
+
+    await say('!join', { displayName: 'Alice', channelId: 'UCalice', isChatSponsor: true });
+    await say('!JOIN', { displayName: 'Alice', channelId: 'UCalice', isChatSponsor: true });
+    await say('!join', { displayName: 'Bob', channelId: 'UCbob' });
+    const giveaway = bot.giveaways.get('video1');
+    assert.deepEqual([...giveaway.entrants.keys()], ['UCalice']);
+
+    await say('!giveaway draw', { displayName: 'Boss', channelId: 'UCboss', isChatOwner: true });
+    assert.equal(sent[1].text, '🎉 The winner is @Alice! (1 entrant)');
+    await say('!giveaway reroll', { displayName: 'Boss', channelId: 'UCboss', isChatOwner: true });
+    assert.equal(sent[2].text, 'Everyone who entered has already won!');
+
+    await say('!giveaway end', { displayName: 'Boss', channelId: 'UCboss', isChatOwner: true });
+    assert.equal(bot.giveaways.get('video1'), null);
+});
+
+test('announcements wait for an active chat', () => {
+    const announcer = new Announcer({
+        minMessages: 3,
+        activeWindowMinutes: 10,
+        announcements: [{ id: 'socials', message: 'Follow us!', everyMinutes: 30 }]
+    });
+    const start = Date.now();
+    const minutes = count => start + count * 60 * 1000;
+
+    announcer.recordChat('video1', start);
+    assert.equal(announcer.next('video1', minutes(31)), null, 'chat went quiet');
+
+    announcer.recordChat('video1', minutes(29));
+    announcer.recordChat('video1', minutes(30));
+    assert.equal(announcer.next('video1', minutes(31)).id, 'socials');
+
+    announcer.markPosted('video1', 'socials', minutes(31));
+    for (let minute = 32; minute < 40; minute++) announcer.recordChat('video1', minutes(minute));
+    assert.equal(announcer.next('video1', minutes(40)), null, 'posted too recently');
+    announcer.recordChat('video1', minutes(61));
+    assert.equal(announcer.next('video1', minutes(62)).id, 'socials');
+});
+
+test('support roll-ups count supporters by channel and only repeat for new support', async (t) => {
+    const { bot, sent, session, say } = setup(t);
+    const superChat = (name, channelId, amount) => ({
+        ...chatMessage('', { displayName: name, channelId }),
+        snippet: {
+            type: 'superChatEvent',
+            superChatDetails: { amountDisplayString: `$${amount}.00`, amountMicros: amount * 1000000, currency: 'USD' }
+        }
+    });
+
+    await bot.processMessage(superChat('Sam', 'UCsam1', 5), session);
+    await bot.processMessage(superChat('Sam', 'UCsam2', 2), session);
+    await bot.processMessage(superChat('Sam', 'UCsam2', 2), session);
+    assert.deepEqual(bot.support.tally(session.videoId).supporters, {
+        UCsam1: { name: 'Sam', count: 1 },
+        UCsam2: { name: 'Sam', count: 2 }
+    });
+
+    await say('!thanks', { displayName: 'Boss', channelId: 'UCboss', isChatOwner: true });
+    assert.match(sent[sent.length - 1].text, /3 Super Chats\. Shout-out to Sam, Sam/);
+
+    // Already thanked everyone, so the automatic one has nothing to add until more support comes in
+    assert.equal(await bot.postSupportRollup(session), false);
+    await bot.processMessage(superChat('Ivy', 'UCivy', 10), session);
+    assert.equal(await bot.postSupportRollup(session), true);
+    assert.match(sent[sent.length - 1].text, /4 Super Chats\. Shout-out to Sam, Sam, Ivy/);
+
+    // The chat is gone by the time a stream is cleaned up, so nothing more is posted
+    const before = sent.length;
+    bot.cleanup(session);
+    assert.equal(sent.length, before);
+});
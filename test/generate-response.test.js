@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Personality } = require('../lib/personality');
+const { createBot } = require('./helpers');
+
+test('generateResponse', async (t) => {
+    const { bot, cleanup } = createBot();
+    t.after(cleanup);
+    const pools = bot.personality.config.pools;
+
+    await t.test('answers a matching keyword from its pool', () => {
+        bot.personality.random = () => 0;
+        const response = bot.generateResponse('what an amazing play', 'Alice');
+        assert.ok(pools.amazing.includes(response), response);
+    });
+
+    await t.test('greets viewers who greet the bot by name', () => {
+        bot.personality.random = () => 0;
+        const response = bot.generateResponse(`hey ${bot.config.botName.toLowerCase()}`, 'Alice');
+        assert.ok(pools.greetings.includes(response), response);
+    });
+
+    await t.test('fills in the author placeholder', () => {
+        bot.personality.random = () => 0;
+        const response = bot.generateResponse('hello', 'Alice');
+        assert.equal(response, pools.viewerGreetings[0].replace('{author}', 'Alice'));
+    });
+
+    await t.test('stays quiet when nothing matches and chance says no', () => {
+        bot.personality.random = () => 0.999;
+        assert.equal(bot.generateResponse('just watching', 'Alice'), null);
+    });
+
+    await t.test('pickResponse reports which rule matched', () => {
+        bot.personality.random = () => 0;
+        assert.equal(bot.pickResponse('that clutch win though', 'Alice').rule, 'clutch');
+    });
+});
+
+test('regex rules match placeholder values literally', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personality-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'personality.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        rules: [{ id: 'self-hype', match: 'regex', patterns: ['^{author} (is|was) here$'], responses: ['welcome {author}'] }]
+    }));
+    const personality = new Personality({ filePath }).load();
+
+    assert.equal(personality.respond('(Star*) is here', { author: '(Star*)' }).response, 'welcome (Star*)');
+    assert.equal(personality.respond('Starrr is here', { author: '(Star*)' }), null);
+    assert.equal(personality.respond('x.y was here', { author: '[x.y' }), null);
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const YouTubeChatBot = require('../chatbot');
+
+// The bot narrates everything on stdout, which also carries the test runner's own messages.
+// Keep it quiet unless TEST_VERBOSE is set; errors still go to stderr.
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+// Build a bot whose state files live in a temp dir; env entries override the defaults
+// A simulation script (object) switches the bot to the fake YouTube API
+function createBot({ env = {}, script = null } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+    const testEnv = {
+        YOUTUBE_API_KEY: 'test-key',
+        YOUTUBE_CLIENT_ID: 'test-client-id',
+        YOUTUBE_CLIENT_SECRET: 'test-client-secret',
+        QUOTA_LEDGER_FILE: path.join(dir, 'quota.json'),
+        OAUTH_TOKEN_FILE: path.join(dir, 'oauth-tokens.json'),
+        LOYALTY_FILE: path.join(dir, 'loyalty.json'),
+        SESSION_DIR: path.join(dir, 'sessions'),
+        CHECKPOINT_FILE: path.join(dir, 'checkpoint.json'),
+        ...env
+    };
+    if (script) {
+        testEnv.SIMULATION_SCRIPT = path.join(dir, 'script.json');
+        fs.writeFileSync(testEnv.SIMULATION_SCRIPT, JSON.stringify(script));
+    }
+
+    // The constructor reads process.env, so swap it in just for that
+    const saved = { ...process.env };
+    Object.assign(process.env, testEnv);
+    let bot;
+    try {
+        bot = new YouTubeChatBot();
+    } finally {
+        for (const key of Object.keys(testEnv)) {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        }
+    }
+
+    const cleanup = async () => {
+        await bot.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    return { bot, dir, cleanup };
+}
+
+// A liveChatMessages item as the API returns it
+function chatMessage(text, author = {}) {
+    return {
+        id: `msg-${Math.random().toString(36).slice(2)}`,
+        snippet: { type: 'textMessageEvent', displayMessage: text, publishedAt: new Date().toISOString() },
+        authorDetails: {
+            displayName: 'Viewer',
+            channelId: 'UCviewer',
+            ...author
+        }
+    };
+}
+
+// Resolve once check() is true, fail after timeoutMs
+async function waitFor(check, timeoutMs = 5000, label = 'condition') {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${label}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { createBot, chatMessage, waitFor };
@@ -0,0 +1,256 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+
+const { StreamSession } = require('../lib/stream-session');
+const { createBot, waitFor } = require('./helpers');
+
+// Call the status server, resolves to { statusCode, headers, body }
+function request(port, method, path, { headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`http://127.0.0.1:${port}${path}`, { method, agent: false, headers }, res => {
+            let text = '';
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+const get = (port, path, headers) => request(port, 'GET', path, { headers });
+
+test('OAuth setup needs a token, even when none is configured', async (t) => {
+    const open = createBot();
+    t.after(open.cleanup);
+    const openPort = await open.bot.listen(0);
+    assert.equal((await get(openPort, '/auth')).statusCode, 403);
+    assert.equal((await get(openPort, '/auth/status')).statusCode, 403);
+
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    assert.equal((await get(port, '/auth?token=wrong')).statusCode, 403);
+    const redirect = await get(port, '/auth?token=secret');
+    assert.equal(redirect.statusCode, 302);
+    assert.match(redirect.headers.location, /^https:\/\/accounts\.google\.com\//);
+    assert.equal((await get(port, '/auth/status')).statusCode, 401);
+
+    // The public status only says whether the bot is authorized
+    const status = JSON.parse((await get(port, '/status')).body);
+    assert.equal(status.authorized, false);
+    assert.equal(status.auth, undefined);
+    assert.doesNotMatch(JSON.stringify(status), /redirect|oauth2callback/i);
+});
+
+test('an oversized request body gets a 413 the client can read', async (t) => {
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    const headers = { Authorization: 'Bearer secret', 'Content-Type': 'application/json' };
+
+    const response = await request(port, 'POST', '/control/message', {
+        headers,
+        body: JSON.stringify({ text: 'x'.repeat(200 * 1024) })
+    });
+    assert.equal(response.statusCode, 413);
+    assert.deepEqual(JSON.parse(response.body), { error: 'Request body too large' });
+    assert.equal((await get(port, '/healthz')).statusCode, 200);
+});
+
+test('a malformed path parameter is a 400, not a crash', async (t) => {
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+
+    const response = await get(port, '/reports/%E0', { Authorization: 'Bearer secret' });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(JSON.parse(response.body), { error: 'Malformed videoId in URL' });
+    assert.equal((await get(port, '/healthz')).statusCode, 200);
+});
+
+test('a WebSub push with a malformed signature is refused without taking the bot down', async (t) => {
+    const { bot, cleanup } = createBot({ env: { STREAM_DISCOVERY: 'websub', WEBSUB_SECRET: 'hub-secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    const notified = [];
+    bot.discovery.onNotify = videoIds => notified.push(...videoIds);
+    const body = '<feed><entry><yt:videoId>abc123</yt:videoId></entry></feed>';
+    const signature = 'sha1=' + crypto.createHmac('sha1', 'hub-secret').update(body).digest('hex');
+    const push = value => request(port, 'POST', '/websub', { headers: { 'X-Hub-Signature': value }, body });
+
+    // Same string length as a real signature, more bytes
+    assert.equal((await push('sha1=' + 'é'.repeat(40))).statusCode, 403);
+    assert.equal((await push('sha1=0')).statusCode, 403);
+    assert.equal((await push(signature)).statusCode, 204);
+    assert.deepEqual(notified, ['abc123']);
+});
+
+test('stopping through the control API thanks supporters before the chat is left', async (t) => {
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    const sent = [];
+    bot.sendMessage = async (text, liveChatId) => sent.push({ text, liveChatId }) > 0;
+    bot.monitoring = true;
+    const session = new StreamSession({ videoId: 'video1', liveChatId: 'chat1', status: 'live' });
+    bot.streams.set(session.videoId, session);
+    bot.support.record(session.videoId, { type: 'newSponsorEvent', author: 'Ivy', channelId: 'UCivy' });
+
+    const stop = () => request(port, 'POST', '/control/stop', { headers: { Authorization: 'Bearer secret' } });
+    assert.equal((await stop()).statusCode, 200);
+    assert.equal(bot.monitoring, false);
+    assert.deepEqual(sent.map(message => message.liveChatId), ['chat1']);
+    assert.match(sent[0].text, /1 new member\. Shout-out to Ivy/);
+    assert.equal((await stop()).statusCode, 409);
+});
+
+test('session reports are served as JSON and CSV behind the control token', async (t) => {
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    const auth = { Authorization: 'Bearer secret' };
+    bot.recorder.start({ videoId: 'video1', channelId: 'UCchannel', title: 'Ranked grind' });
+    bot.recorder.record('video1', 'chat', { author: 'Alice', authorChannelId: 'UCalice', text: 'hi' });
+    bot.recorder.finish('video1');
+
+    assert.equal((await get(port, '/reports')).statusCode, 401);
+    assert.deepEqual(JSON.parse((await get(port, '/reports', auth)).body).reports.map(report => report.videoId), ['video1']);
+    assert.equal(JSON.parse((await get(port, '/reports/video1', auth)).body).messages, 1);
+    assert.equal((await get(port, '/reports/nothing', auth)).statusCode, 404);
+
+    const csv = await get(port, '/reports/video1/csv', auth);
+    assert.match(csv.headers['content-type'], /^text\/csv/);
+    assert.match(csv.headers['content-disposition'], /video1-report\.csv/);
+    assert.match(csv.body, /^section,name,value\n/);
+    assert.match(csv.body, /topChatter,Alice,1/);
+});
+
+test('control endpoints need the token, and are off without one', async (t) => {
+    const open = createBot();
+    t.after(open.cleanup);
+    const openPort = await open.bot.listen(0);
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+
+    const routes = [
+        ['POST', '/control/start'],
+        ['POST', '/control/stop'],
+        ['POST', '/control/check'],
+        ['POST', '/control/message'],
+        ['PUT', '/control/rate-limit'],
+        ['POST', '/control/reload']
+    ];
+    for (const [method, path] of routes) {
+        const disabled = await request(openPort, method, path, { headers: { Authorization: 'Bearer secret' } });
+        assert.equal(disabled.statusCode, 403, `${method} ${path} without CONTROL_API_TOKEN`);
+        assert.equal((await request(port, method, path)).statusCode, 401, `${method} ${path} without a token`);
+        assert.equal((await request(port, method, path, { headers: { Authorization: 'Bearer wrong' } })).statusCode, 401);
+    }
+    assert.equal(bot.monitoring, false);
+});
+
+test('start, check, message and stop drive a monitored stream', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: { CONTROL_API_TOKEN: 'secret', MIN_POLL_INTERVAL_MS: '20', SIMULATION_CHECK_SECONDS: '1' },
+        script: {
+            videoId: 'liveVideo01',
+            pollingIntervalMillis: 50,
+            events: [{ at: 0, action: 'start' }, { at: 30, action: 'end' }]
+        }
+    });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    const headers = { Authorization: 'Bearer secret', 'Content-Type': 'application/json' };
+    const call = async (method, path, body) => {
+        const response = await request(port, method, path, { headers, body: body && JSON.stringify(body) });
+        return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+    };
+
+    assert.deepEqual(await call('POST', '/control/check'), { statusCode: 409, body: { error: 'Not monitoring - start it first' } });
+    assert.deepEqual(await call('POST', '/control/start'), { statusCode: 202, body: { monitoring: true } });
+    assert.equal((await call('POST', '/control/start')).statusCode, 409);
+    await waitFor(() => bot.streams.has('liveVideo01'), 5000, 'the stream to be found');
+
+    const check = await call('POST', '/control/check');
+    assert.equal(check.statusCode, 200);
+    assert.deepEqual(check.body.streams.map(stream => stream.videoId), ['liveVideo01']);
+
+    assert.deepEqual(await call('POST', '/control/message', {}), { statusCode: 400, body: { error: '"text" is required' } });
+    assert.deepEqual(await call('POST', '/control/message', { text: '   ' }), { statusCode: 400, body: { error: '"text" is required' } });
+    assert.deepEqual(await call('POST', '/control/message', { text: 'hi', videoId: 'other' }), {
+        statusCode: 404,
+        body: { error: 'Not monitoring stream other' }
+    });
+    assert.equal((await request(port, 'POST', '/control/message', { headers, body: '{not json' })).statusCode, 400);
+    assert.deepEqual(await call('POST', '/control/message', { text: ' Back in 5! ', videoId: 'liveVideo01' }), {
+        statusCode: 200,
+        body: { sent: true }
+    });
+    assert.deepEqual(bot.simulator.sent.map(message => message.text), ['Back in 5!']);
+
+    assert.deepEqual(await call('POST', '/control/stop'), { statusCode: 200, body: { monitoring: false } });
+    assert.equal(bot.monitoring, false);
+    assert.equal((await call('POST', '/control/stop')).statusCode, 409);
+});
+
+test('the reply rate limit can be changed at runtime', async (t) => {
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    const session = new StreamSession({ videoId: 'video1', liveChatId: 'chat1', status: 'live' });
+    bot.streams.set(session.videoId, session);
+    bot.planBudget(session);
+    const put = async body => {
+        const response = await request(port, 'PUT', '/control/rate-limit', {
+            headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+    };
+
+    const before = { ...bot.config.budget };
+    assert.deepEqual(await put({}), {
+        statusCode: 400,
+        body: { error: 'Nothing to change (expectedRepliesPerHour, minReplyIntervalMs)' }
+    });
+    assert.deepEqual(await put({ expectedRepliesPerHour: -1 }), {
+        statusCode: 400,
+        body: { error: '"expectedRepliesPerHour" must be a non-negative number' }
+    });
+    // A bad value rejects the whole change
+    assert.equal((await put({ expectedRepliesPerHour: 12, minReplyIntervalMs: '5000' })).statusCode, 400);
+    assert.deepEqual(bot.config.budget, before);
+
+    const changed = await put({ expectedRepliesPerHour: 12, minReplyIntervalMs: 5000 });
+    assert.equal(changed.statusCode, 200);
+    assert.equal(changed.body.budget.expectedRepliesPerHour, 12);
+    assert.equal(changed.body.budget.minReplyIntervalMs, 5000);
+    // Streams already being monitored pick the new limit up too
+    assert.equal(session.budget.expectedRepliesPerHour, 12);
+    assert.equal(session.budget.minReplyIntervalMs, 5000);
+});
+
+test('reload re-reads the config files and keeps the running state', async (t) => {
+    const { bot, cleanup } = createBot({ env: { CONTROL_API_TOKEN: 'secret' } });
+    t.after(cleanup);
+    const port = await bot.listen(0);
+    bot.support.record('video1', { type: 'newSponsorEvent', author: 'Ivy', channelId: 'UCivy' });
+    const limiter = bot.limiter;
+
+    const response = await request(port, 'POST', '/control/reload', { headers: { Authorization: 'Bearer secret' } });
+    assert.equal(response.statusCode, 200);
+    const result = JSON.parse(response.body);
+    assert.deepEqual(Object.keys(result).sort(), ['announcements', 'moderation', 'notifications', 'personality', 'replyLimits', 'support']);
+    assert.equal(result.moderation, true);
+    assert.equal(result.support, true);
+    assert.notEqual(bot.limiter, limiter);
+    assert.equal(bot.limiter.buckets, limiter.buckets);
+    assert.match(bot.support.rollup('video1', { onlyNew: true }), /Shout-out to Ivy/);
+
+    // A roll-up already posted isn't posted again after another reload
+    await request(port, 'POST', '/control/reload', { headers: { Authorization: 'Bearer secret' } });
+    assert.equal(bot.support.rollup('video1', { onlyNew: true }), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { detectLanguage, normalizeText } = require('../lib/language');
+const { createBot } = require('./helpers');
+
+test('detectLanguage', async (t) => {
+    await t.test('tells scripts apart', () => {
+        assert.equal(detectLanguage('こんにちは').locale, 'ja');
+        assert.equal(detectLanguage('你好').locale, 'zh');
+        assert.equal(detectLanguage('안녕하세요').locale, 'ko');
+        assert.equal(detectLanguage('привет').locale, 'ru');
+        assert.equal(detectLanguage('привіт').locale, 'uk');
+    });
+
+    await t.test('scores Latin-script messages on common words', () => {
+        assert.equal(detectLanguage('hola que tal').locale, 'es');
+        assert.equal(detectLanguage('olá tudo bem').locale, 'pt');
+        assert.equal(detectLanguage('this is great').locale, 'en');
+    });
+
+    await t.test('gives up on ambiguous or unknown text', () => {
+        assert.equal(detectLanguage('de nada'), null);
+        assert.equal(detectLanguage('GG 🔥'), null);
+        assert.equal(detectLanguage(''), null);
+    });
+});
+
+test('normalizeText', () => {
+    assert.equal(normalizeText('Ｈｅｌｌｏ'), 'hello');
+    assert.equal(normalizeText('¡HOLÁ! 👋🏽'), '¡hola!');
+    assert.equal(normalizeText('What’s up'), "what's up");
+    assert.equal(normalizeText('hi👋bot'), 'hi bot');
+});
+
+test('localized responses', async (t) => {
+    const { bot, cleanup } = createBot({ env: { CHANNEL_LOCALES: 'UCspanish:es' } });
+    t.after(cleanup);
+    const { rulesets } = bot.personality;
+    bot.personality.random = () => 0;
+
+    await t.test('answers in the detected language', () => {
+        const result = bot.pickResponse('hola amigos', 'Ana');
+        assert.equal(result.locale, 'es');
+        assert.equal(result.response, rulesets.get('es').pools.viewerGreetings[0].replace('{author}', 'Ana'));
+    });
+
+    await t.test('uses locale rules that replace default ones', () => {
+        const result = bot.pickResponse('¡QUÉ JUGADÓN! 🔥', 'Ana');
+        assert.equal(result.rule, 'amazing-play');
+        assert.ok(rulesets.get('es').pools.amazing.includes(result.response), result.response);
+    });
+
+    await t.test('matches greetings in unspaced scripts', () => {
+        const result = bot.pickResponse('こんにちは皆さん', 'Yuki');
+        assert.equal(result.locale, 'ja');
+        assert.equal(result.response, 'Yukiさん、こんにちは！👋');
+    });
+
+    await t.test('falls back to the channel default locale', () => {
+        assert.equal(bot.detectLocale('gg', 'UCspanish'), 'es');
+        assert.equal(bot.detectLocale('gg', 'UCother'), 'en');
+    });
+
+    await t.test('does not find greetings inside other words', () => {
+        assert.equal(bot.containsGreeting('this'), false);
+        assert.equal(bot.containsGreeting('Hi👋'), true);
+        assert.equal(bot.pickResponse('this boat', 'Alice', null, 'en').rule, 'random-engagement');
+    });
+});
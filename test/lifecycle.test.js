@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { createBot, waitFor } = require('./helpers');
+
+// Fast polling and checks so a scripted stream plays out in a couple of seconds
+const FAST = {
+    MIN_POLL_INTERVAL_MS: '20',
+    SIMULATION_CHECK_SECONDS: '1',
+    REPLY_DELAY_MIN_MS: '1',
+    REPLY_DELAY_MAX_MS: '5'
+};
+
+test('constructing the bot has no side effects on the network', async (t) => {
+    const { bot, cleanup } = createBot();
+    t.after(cleanup);
+
+    assert.equal(bot.server.listening, false);
+    assert.equal(bot.monitoring, false);
+});
+
+test('monitors a live stream from start to end', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: FAST,
+        script: {
+            videoId: 'liveVideo01',
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0.2, author: 'Alice', text: 'hello everyone' },
+                { at: 0.3, author: 'Streamer', role: 'owner', text: '!ping' },
+                { at: 2, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+    const fake = bot.simulator;
+
+    await bot.startContinuousMonitoring();
+    assert.equal(bot.streams.size, 1);
+    const session = bot.streams.get('liveVideo01');
+    assert.equal(session.status, 'live');
+    assert.equal(session.isRunning, true);
+
+    await waitFor(() => fake.sent.some(message => message.text === '🏓 Pong!'), 5000, 'the !ping reply');
+    assert.equal(fake.sent[0].liveChatId, fake.script.liveChatId);
+
+    // The next stream check after the scripted end cleans the session up
+    await waitFor(() => bot.streams.size === 0, 8000, 'the stream to end');
+    assert.equal(session.isRunning, false);
+
+    const report = bot.recorder.getReport('liveVideo01');
+    assert.equal(report.messages, 2);
+    assert.equal(report.uniqueChatters, 2);
+    assert.ok(report.commands.some(command => command.name === 'ping'));
+    assert.ok(report.quota.total > 0);
+});
+
+test('thanks supporters before the scheduled end, while the chat is still open', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: FAST,
+        script: {
+            videoId: 'endsSoon001',
+            scheduledEnd: 60,
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0.2, author: 'Erin', type: 'superChatEvent', text: '$5.00 from Erin',
+                    details: { superChatDetails: { amountMicros: '5000000', currency: 'USD', amountDisplayString: '$5.00' } } },
+                { at: 2, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+    const fake = bot.simulator;
+    const rollups = () => fake.sent.filter(message => message.text.startsWith('Thanks for all the support'));
+
+    await bot.startContinuousMonitoring();
+    assert.equal(bot.streams.get('endsSoon001').scheduledEndTime, fake.timeAt(60));
+    await waitFor(() => rollups().length === 1, 5000, 'the roll-up');
+    assert.match(rollups()[0].text, /1 Super Chat\. Shout-out to Erin/);
+
+    await waitFor(() => bot.streams.size === 0, 8000, 'the stream to end');
+    assert.equal(rollups().length, 1);
+});
+
+test('joins the waiting room of an upcoming stream before it goes live', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: FAST,
+        script: {
+            videoId: 'upcoming001',
+            scheduledStart: 1,
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'openChat' },
+                { at: 0.1, author: 'EarlyBird', text: 'first!' },
+                { at: 1, action: 'start' },
+                { at: 10, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+
+    await bot.startContinuousMonitoring();
+    const session = bot.streams.get('upcoming001');
+    assert.equal(session.status, 'upcoming');
+    assert.equal(session.isRunning, true);
+
+    await waitFor(() => bot.recentChat.some(entry => entry.author === 'EarlyBird'), 3000, 'waiting-room chat');
+    await waitFor(() => session.status === 'live', 5000, 'the stream to go live');
+});
+
+test('pauses after YouTube reports the quota exhausted and recovers at the reset', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: FAST,
+        script: {
+            videoId: 'quotaVideo1',
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0, action: 'fail', method: 'playlistItems.list', reason: 'quotaExceeded' },
+                { at: 10, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+
+    await bot.startContinuousMonitoring();
+    assert.equal(bot.streams.size, 0);
+    assert.equal(bot.recentErrors.length, 1);
+    assert.equal(bot.quota.exhausted, true);
+    assert.equal(bot.canMakeApiCall(1), false);
+
+    // Midnight Pacific comes round
+    bot.quota.resetTime = new Date(Date.now() - 1000);
+    await waitFor(() => bot.streams.size === 1, 5000, 'the stream check after the reset');
+});
+
+test('stop() halts polling and stream checks', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: FAST,
+        script: {
+            pollingIntervalMillis: 50,
+            events: [{ at: 0, action: 'start' }, { at: 10, action: 'end' }]
+        }
+    });
+    t.after(cleanup);
+
+    await bot.startContinuousMonitoring();
+    bot.stop();
+    const calls = bot.simulator.calls.length;
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.equal(bot.monitoring, false);
+    assert.equal(bot.simulator.calls.length, calls);
+});
+
+test('shutdown sends queued replies and a restart resumes the same chat', async (t) => {
+    const script = {
+        videoId: 'resumeVideo',
+        pollingIntervalMillis: 50,
+        events: [
+            { at: 0, action: 'start' },
+            { at: 0.1, author: 'Alice', role: 'owner', text: '!ping' },
+            { at: 1.5, author: 'Bob', role: 'owner', text: '!ping' },
+            { at: 10, action: 'end' }
+        ]
+    };
+    const first = createBot({ env: FAST, script });
+    t.after(first.cleanup);
+    const fake = first.bot.simulator;
+    const pongs = () => fake.sent.filter(message => message.text === '🏓 Pong!').length;
+
+    await first.bot.startContinuousMonitoring();
+    await waitFor(() => pongs() === 1, 3000, 'the first reply');
+    first.bot.sendMessage('brb, restarting', fake.script.liveChatId, { delayMs: 60 * 1000 });
+    await first.bot.shutdown();
+
+    assert.ok(fake.sent.some(message => message.text === 'brb, restarting'));
+    const saved = JSON.parse(fs.readFileSync(first.bot.config.checkpointFile, 'utf8'));
+    assert.equal(saved.streams[0].liveChatId, fake.script.liveChatId);
+    assert.ok(saved.streams[0].nextPageToken);
+
+    // Same YouTube, new process
+    const second = createBot({ env: { ...FAST, CHECKPOINT_FILE: first.bot.config.checkpointFile } });
+    t.after(second.cleanup);
+    second.bot.simulator = fake;
+    second.bot.youtube = fake;
+    const callsBefore = fake.calls.length;
+
+    await second.bot.startContinuousMonitoring();
+    assert.equal(second.bot.streams.get('resumeVideo').isRunning, true);
+    // The bot channel lookup, then one videos.list to confirm, no discovery run
+    assert.deepEqual(fake.calls.slice(callsBefore, callsBefore + 2).map(call => call.method), ['channels.list', 'videos.list']);
+    assert.ok(!fake.calls.slice(callsBefore).some(call => call.method === 'playlistItems.list'));
+
+    // Bob's command is answered, Alice's isn't answered again
+    await waitFor(() => pongs() === 2, 5000, 'the reply after resuming');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(pongs(), 2);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LoyaltyStore } = require('../lib/loyalty');
+const { StreamSession } = require('../lib/stream-session');
+const { createBot, chatMessage } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1, 10);
+
+function tempStore(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loyalty-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'loyalty.json');
+    const store = new LoyaltyStore({ filePath, ...options });
+    t.after(() => clearTimeout(store.saveTimer));
+    return { store, filePath };
+}
+
+test('points come from messages, watch time and Super Chats', (t) => {
+    const { store } = tempStore(t);
+    const alice = { channelId: 'UCalice', displayName: 'Alice', streamId: 'video1' };
+
+    assert.equal(store.recordChat({ ...alice, now: T0 }).isNew, true);
+    assert.equal(store.get('UCalice').points, 1);
+
+    // Within the message cooldown only the watch time counts
+    store.recordChat({ ...alice, now: T0 + 0.5 * MINUTE });
+    assert.equal(store.get('UCalice').points, 1);
+    assert.equal(store.recordChat({ ...alice, now: T0 + 3 * MINUTE }).isNew, false);
+    assert.equal(store.get('UCalice').points, 1 + 3 + 1);
+
+    // Quiet for longer than the presence window - that gap isn't watch time
+    store.recordChat({ ...alice, now: T0 + 30 * MINUTE });
+    assert.equal(store.get('UCalice').points, 5 + 1);
+    assert.equal(store.get('UCalice').watchMs, 3 * MINUTE);
+
+    // Members earn double, Super Chats add a bonus, the waiting room earns nothing
+    store.recordChat({ channelId: 'UCbob', displayName: 'Bob', isMember: true, streamId: 'video1', now: T0 });
+    assert.equal(store.get('UCbob').points, 2);
+    store.recordSuperChat({ channelId: 'UCbob', displayName: 'Bob', now: T0 + MINUTE });
+    assert.equal(store.get('UCbob').points, 102);
+    store.recordChat({ channelId: 'UCcarol', displayName: 'Carol', streamId: 'video2', live: false, now: T0 });
+    assert.equal(store.get('UCcarol').points, 0);
+
+    assert.deepEqual(store.top(2).map(viewer => viewer.displayName), ['Bob', 'Alice']);
+    assert.equal(store.rank('UCcarol'), 3);
+    assert.equal(store.rank('UCnobody'), null);
+});
+
+test('points survive a restart and follow the channel ID, not the name', (t) => {
+    const { store, filePath } = tempStore(t);
+    store.recordChat({ channelId: 'UCalice', displayName: 'Alice', now: T0 });
+    store.recordChat({ channelId: 'UCalice', displayName: 'Alice2', now: T0 + 2 * MINUTE });
+    store.recordChat({ channelId: 'UCother', displayName: 'alice', now: T0 + MINUTE });
+    assert.equal(store.adjust('UCalice', -1000).points, 0);
+    assert.equal(store.adjust('UCnobody', 10), null);
+    store.save();
+
+    const restarted = new LoyaltyStore({ filePath });
+    assert.equal(restarted.viewers.size, 2);
+    assert.equal(restarted.get('UCalice').displayName, 'Alice2');
+    assert.equal(restarted.findByName('@ALICE').channelId, 'UCother');
+    assert.equal(restarted.findByName('alice2').channelId, 'UCalice');
+});
+
+test('!points, !top, !give and !take', async (t) => {
+    const { bot, cleanup } = createBot({ env: { OWNER_CHANNEL_ID: 'UCboss' } });
+    t.after(cleanup);
+    const sent = [];
+    bot.sendMessage = async (text) => sent.push(text) > 0;
+    bot.personality.random = () => 0.999;
+    const session = new StreamSession({ videoId: 'video1', liveChatId: 'chat1', title: 'Test stream' });
+    bot.planBudget(session);
+    const alice = { displayName: 'Alice', channelId: 'UCalice' };
+    const bob = { displayName: 'Bob', channelId: 'UCbob' };
+    const boss = { displayName: 'Boss', channelId: 'UCboss' };
+    const carol = { displayName: 'Carol', channelId: 'UCcarol' };
+    const say = async (text, author) => {
+        const before = sent.length;
+        await bot.processMessage(chatMessage(text, author), session);
+        return sent.slice(before).join('\n');
+    };
+
+    assert.match(await say('!points @Bob', carol), /I haven't seen @Bob in chat yet/);
+    await say('just got here', bob);
+    assert.match(await say('!points', alice), /^🏅 Alice: 1 points \| #\d \| watched 0m$/);
+
+    // Only the owner can hand out points
+    assert.equal(await say('!give @Bob 50', alice), '');
+    assert.equal(await say('!give @Bob 50', boss), '🏅 Bob now has 51 points');
+    assert.equal(await say('!take @Alice 500', boss), '🏅 Alice now has 0 points');
+    assert.equal(await say('!give @Bob 0', boss), 'Amount must be a positive whole number');
+    assert.equal(await say('!give @Bob lots', boss), 'Usage: !give <@viewer> <amount>');
+
+    // !points has a per-viewer cooldown, so Alice can't ask again yet
+    assert.equal(await say('!points @Bob', alice), '');
+    assert.match(await say('!points @alice', bob), /^🏅 Alice: 0 points \| #\d \| watched 0m$/);
+    assert.equal(await say('!leaderboard', bob), '🏆 1. Bob (51) | 2. Carol (1) | 3. Boss (1)');
+});
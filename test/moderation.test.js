@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Moderator } = require('../lib/moderation');
+const { chatMessage } = require('./helpers');
+
+test('links are allowed only from the allowed domains and their subdomains', () => {
+    const moderator = new Moderator();
+    const check = (text, channelId) => moderator.check(chatMessage(text, { displayName: channelId, channelId }));
+
+    assert.equal(check('clip: https://www.youtube.com/watch?v=abc', 'UCa'), null);
+    assert.equal(check('youtu.be/abc', 'UCb'), null);
+    for (const [index, text] of ['youtube.com.evil.ru/free', 'notyoutube.com', 'https://evil.example/?r=youtu.be'].entries()) {
+        const decision = check(text, `UCspam${index}`);
+        assert.ok(decision, text);
+        assert.deepEqual(decision.violations, ['link']);
+    }
+});
+
+test('escalation stops at a timeout unless the config adds bans', () => {
+    const moderator = new Moderator();
+    const shout = (text, now) => moderator.check(chatMessage(text, { displayName: 'Loud', channelId: 'UCloud' }), now);
+
+    const actions = ['THIS GAME IS AMAZING', 'WHAT A COMEBACK WOW', 'LETS GOOOO CHAMPION', 'BEST STREAM EVER MADE']
+        .map((text, index) => shout(text, index * 60 * 1000).action);
+    assert.deepEqual(actions, ['warn', 'delete', 'timeout', 'timeout']);
+
+    const strict = new Moderator({ escalation: ['timeout', 'ban'] });
+    const message = text => chatMessage(text, { displayName: 'Loud', channelId: 'UCloud' });
+    assert.equal(strict.check(message('THIS GAME IS AMAZING'), 0).action, 'timeout');
+    assert.equal(strict.check(message('WHAT A COMEBACK WOW'), 1000).action, 'ban');
+});
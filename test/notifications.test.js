@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { Notifier } = require('../lib/notifications');
+const { createBot, chatMessage, waitFor } = require('./helpers');
+
+// Local stand-in for Discord/Slack/webhook endpoints; failures[path] requests fail with 500 first
+async function startStandIn(t, failures = {}) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            if (failures[req.url] > 0) {
+                failures[req.url] -= 1;
+                res.writeHead(500).end();
+                return;
+            }
+            received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(204).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('each sink gets the events it asked for in its own format', async (t) => {
+    const standIn = await startStandIn(t);
+    const notifier = new Notifier({
+        sinks: [
+            {
+                id: 'discord',
+                type: 'discord',
+                url: `${standIn.url}/discord`,
+                username: 'GameBuddy',
+                events: ['stream.*'],
+                templates: { 'stream.live': '**{title}** is live: {url}' }
+            },
+            { id: 'slack', type: 'slack', url: `${standIn.url}/slack`, events: ['quota.warning'] },
+            { id: 'hook', type: 'webhook', url: `${standIn.url}/hook`, headers: { 'X-Token': 'secret' } }
+        ]
+    });
+    t.after(() => notifier.stop());
+
+    assert.equal(notifier.notify('stream.live', { title: 'Speedrun', url: 'https://youtu.be/abc' }), 2);
+    assert.equal(notifier.notify('quota.warning', { used: 8001, limit: 10000, remaining: 1499 }), 2);
+    await waitFor(() => standIn.received.length === 4, 5000, 'deliveries');
+
+    const byPath = path => standIn.received.filter(request => request.path === path).map(request => request.body);
+    assert.deepEqual(byPath('/discord'), [{ content: '**Speedrun** is live: https://youtu.be/abc', allowed_mentions: { parse: [] }, username: 'GameBuddy' }]);
+    assert.deepEqual(byPath('/slack'), [{ text: '⚠️ YouTube quota at 8001/10000 units, 1499 left before the reserve' }]);
+
+    const hooks = standIn.received.filter(request => request.path === '/hook');
+    assert.deepEqual(hooks.map(request => request.body.event), ['stream.live', 'quota.warning']);
+    assert.equal(hooks[0].body.data.title, 'Speedrun');
+    assert.equal(hooks[0].headers['x-token'], 'secret');
+});
+
+test('failed deliveries are retried in order', async (t) => {
+    const standIn = await startStandIn(t, { '/slack': 2 });
+    const notifier = new Notifier({
+        retryBaseMs: 10,
+        sinks: [{ id: 'slack', type: 'slack', url: `${standIn.url}/slack`, templates: { 'errors.repeated': '{message}' } }]
+    });
+    t.after(() => notifier.stop());
+
+    notifier.notify('errors.repeated', { message: 'first' });
+    notifier.notify('errors.repeated', { message: 'second' });
+    // The stand-in records a request before the sink has seen the response
+    await waitFor(() => notifier.stats().sinks[0].sent === 2, 5000, 'retried deliveries');
+
+    assert.deepEqual(standIn.received.map(request => request.body.text), ['first', 'second']);
+    const stats = notifier.stats().sinks[0];
+    assert.equal(stats.sent, 2);
+    assert.equal(stats.retried, 2);
+    assert.equal(stats.failed, 0);
+    assert.equal(stats.queued, 0);
+});
+
+test('owner mentions in chat alert the team once per viewer', async (t) => {
+    const standIn = await startStandIn(t);
+    const { bot, cleanup } = createBot({
+        env: { OWNER_USERNAME: 'Boss', DISCORD_WEBHOOK_URL: `${standIn.url}/discord` }
+    });
+    t.after(cleanup);
+    bot.sendMessage = async () => true;
+
+    const session = {
+        videoId: 'video1',
+        channelId: 'UCchannel',
+        liveChatId: 'video1-chat',
+        status: 'live',
+        title: 'Test stream',
+        budget: { canReply: () => false }
+    };
+    // Left over from a viewer who mentioned the owner long ago
+    bot.notifier.lastSent.set('chat.ownerMention:UCold', Date.now() - 120 * 1000);
+    const alice = { displayName: 'Alice', channelId: 'UCalice' };
+    await bot.processMessage(chatMessage('hey @Boss, check the donation goal', alice), session);
+    await bot.processMessage(chatMessage('@Boss are you there?', alice), session);
+    await bot.processMessage(chatMessage('the bossfight is hard', { displayName: 'Bob', channelId: 'UCbob' }), session);
+    await bot.processMessage(chatMessage('thanks @Boss', { displayName: 'Boss', channelId: 'UCchannel', isChatOwner: true }), session);
+
+    await waitFor(() => standIn.received.length === 1, 5000, 'owner mention alert');
+    assert.equal(standIn.received[0].body.content, '💬 Alice mentioned Boss in "Test stream": hey @Boss, check the donation goal');
+    assert.deepEqual(standIn.received[0].body.allowed_mentions, { parse: [] });
+    assert.deepEqual([...bot.notifier.lastSent.keys()], ['chat.ownerMention:UCalice']);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(standIn.received.length, 1);
+});
+
+test('stream start and end are announced', async (t) => {
+    const standIn = await startStandIn(t);
+    const { bot, cleanup } = createBot({
+        env: {
+            MIN_POLL_INTERVAL_MS: '20',
+            SIMULATION_CHECK_SECONDS: '1',
+            NOTIFY_WEBHOOK_URL: `${standIn.url}/hook`
+        },
+        script: {
+            videoId: 'notifyVideo1',
+            title: 'Notify test',
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 0.2, author: 'Alice', text: 'hi' },
+                { at: 1, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+
+    await bot.startContinuousMonitoring();
+    await waitFor(() => standIn.received.length === 2, 8000, 'live and ended notifications');
+
+    const [live, ended] = standIn.received.map(request => request.body);
+    assert.equal(live.event, 'stream.live');
+    assert.equal(live.text, '🔴 Notify test is live! https://youtu.be/notifyVideo1');
+    assert.equal(ended.event, 'stream.ended');
+    assert.equal(ended.data.messages, 1);
+});
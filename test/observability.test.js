@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { logger, configure, settings } = require('../lib/logger');
+const { MetricsRegistry } = require('../lib/metrics');
+const { createBot, chatMessage } = require('./helpers');
+
+// Capture what the logger writes as parsed JSON entries
+function captureLogs(t, changes = {}) {
+    const saved = { ...settings, log: console.log, warn: console.warn, error: console.error };
+    const entries = [];
+    const capture = line => entries.push(JSON.parse(line));
+    console.log = console.warn = console.error = capture;
+    configure({ format: 'json', ...changes });
+    t.after(() => {
+        console.log = saved.log;
+        console.warn = saved.warn;
+        console.error = saved.error;
+        configure({ level: saved.level, format: saved.format, redactChat: saved.redactChat });
+    });
+    return entries;
+}
+
+test('logger writes JSON with context fields and respects the level', (t) => {
+    const entries = captureLogs(t, { level: 'info' });
+    const log = logger.child({ component: 'test', videoId: 'abc' });
+
+    log.debug('hidden');
+    log.info('Chat message', { author: 'Alice', text: 'hello' });
+    log.error('Failed', { error: Object.assign(new Error('boom'), { code: 403, errors: [{ reason: 'quotaExceeded' }] }) });
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].level, 'info');
+    assert.equal(entries[0].msg, 'Chat message');
+    assert.equal(entries[0].component, 'test');
+    assert.equal(entries[0].videoId, 'abc');
+    assert.equal(entries[0].text, 'hello');
+    assert.deepEqual(entries[1].error, { message: 'boom', code: 403, reason: 'quotaExceeded' });
+});
+
+test('logger redacts secrets always and chat text on request', (t) => {
+    const entries = captureLogs(t, { redactChat: true });
+    logger.info('Sample', { text: 'my phone is 555', reply: 'hi', apiKey: 'AIza123', author: 'Alice' });
+
+    assert.equal(entries[0].text, '[redacted]');
+    assert.equal(entries[0].reply, '[redacted]');
+    assert.equal(entries[0].apiKey, '[redacted]');
+    assert.equal(entries[0].author, 'Alice');
+});
+
+test('metrics render in Prometheus text format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('test_total', 'A counter', ['kind']);
+    const histogram = registry.histogram('test_seconds', 'A histogram', [], [0.1, 1]);
+    registry.gauge('test_gauge', 'A gauge', ['name'], gauge => gauge.set({ name: 'say "hi"' }, 2));
+
+    counter.inc({ kind: 'a' });
+    counter.inc({ kind: 'a' }, 2);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+
+    assert.equal(registry.render(), [
+        '# HELP test_total A counter',
+        '# TYPE test_total counter',
+        'test_total{kind="a"} 3',
+        '# HELP test_seconds A histogram',
+        '# TYPE test_seconds histogram',
+        'test_seconds_bucket{le="0.1"} 1',
+        'test_seconds_bucket{le="1"} 2',
+        'test_seconds_bucket{le="+Inf"} 2',
+        'test_seconds_sum 0.55',
+        'test_seconds_count 2',
+        '# HELP test_gauge A gauge',
+        '# TYPE test_gauge gauge',
+        'test_gauge{name="say \\"hi\\""} 2',
+        ''
+    ].join('\n'));
+});
+
+test('/metrics exports chat, reply, quota and error counters', async (t) => {
+    const { bot, cleanup } = createBot();
+    t.after(cleanup);
+    bot.sendMessage = async () => true;
+
+    const session = {
+        videoId: 'video1',
+        channelId: 'UCchannel',
+        liveChatId: 'video1-chat',
+        status: 'live',
+        isRunning: true,
+        title: 'Test stream',
+        budget: { canReply: () => false },
+        stop() {
+            this.isRunning = false;
+        }
+    };
+    bot.streams.set(session.videoId, session);
+    await bot.processMessage(chatMessage('hello'), session);
+    bot.trackQuotaUsage(5, 'liveChatMessages.list', 'video1');
+    bot.recordError('polling messages', Object.assign(new Error('Quota'), {
+        response: { status: 403, data: { error: { errors: [{ reason: 'quotaExceeded' }] } } }
+    }));
+
+    const port = await bot.listen(0);
+    const body = await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${port}/metrics`, { agent: false }, res => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve(data));
+        }).on('error', reject);
+    });
+
+    assert.match(body, /^chatbot_chat_messages_received_total\{type="textMessageEvent"\} 1$/m);
+    assert.match(body, /^chatbot_quota_units_total\{operation="liveChatMessages.list"\} 5$/m);
+    assert.match(body, /^chatbot_api_errors_total\{context="polling messages",reason="quotaExceeded"\} 1$/m);
+    assert.match(body, /^chatbot_stream_connected\{video_id="video1",channel_id="UCchannel"\} 1$/m);
+    assert.match(body, /^chatbot_quota_used_units 5$/m);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { QuotaLedger, getNextMidnight } = require('../lib/quota');
+const { createBot } = require('./helpers');
+
+function tempLedgerFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'quota.json');
+}
+
+test('quota resets at midnight Pacific time', () => {
+    // Standard time (UTC-8)
+    assert.equal(getNextMidnight(new Date('2026-01-15T12:00:00Z')).toISOString(), '2026-01-16T08:00:00.000Z');
+    // Daylight saving time (UTC-7)
+    assert.equal(getNextMidnight(new Date('2026-07-15T12:00:00Z')).toISOString(), '2026-07-16T07:00:00.000Z');
+    // The night the clocks go forward
+    assert.equal(getNextMidnight(new Date('2026-03-08T12:00:00Z')).toISOString(), '2026-03-09T07:00:00.000Z');
+});
+
+test('ledger starts a fresh day once the reset time passes', (t) => {
+    const ledger = new QuotaLedger({ filePath: tempLedgerFile(t), limit: 1000, safetyBuffer: 100 });
+    ledger.track('liveChatMessages.insert', 850);
+    assert.equal(ledger.canSpend(100), false);
+
+    const resetTime = ledger.resetTime;
+    assert.equal(ledger.resetIfDue(new Date(resetTime.getTime() - 1000)), false);
+    assert.equal(ledger.resetIfDue(new Date(resetTime.getTime() + 1000)), true);
+
+    assert.equal(ledger.used, 0);
+    assert.deepEqual(ledger.byOperation, {});
+    assert.ok(ledger.resetTime > resetTime);
+    assert.equal(ledger.canSpend(100), true);
+});
+
+test('ledger keeps the safety buffer free', (t) => {
+    const ledger = new QuotaLedger({ filePath: tempLedgerFile(t), limit: 1000, safetyBuffer: 100 });
+    ledger.track('liveChatMessages.list', 895);
+    assert.equal(ledger.canSpend(5), true);
+    assert.equal(ledger.canSpend(6), false);
+    assert.equal(ledger.remaining, 5);
+});
+
+test('ledger stays exhausted after YouTube says so, until the reset', (t) => {
+    const filePath = tempLedgerFile(t);
+    const ledger = new QuotaLedger({ filePath, limit: 1000, safetyBuffer: 100 });
+    ledger.track('videos.list', 1);
+    assert.equal(ledger.exhaust(), true);
+    assert.equal(ledger.canSpend(1), false);
+    assert.equal(ledger.remaining, 0);
+
+    // Survives a restart
+    assert.equal(new QuotaLedger({ filePath }).exhausted, true);
+
+    ledger.resetIfDue(new Date(ledger.resetTime.getTime() + 1000));
+    assert.equal(ledger.canSpend(1), true);
+});
+
+test('ledger restores today\'s usage after a restart', (t) => {
+    const filePath = tempLedgerFile(t);
+    const first = new QuotaLedger({ filePath });
+    first.track('search.list');
+    first.track('liveChatMessages.insert');
+
+    const second = new QuotaLedger({ filePath });
+    assert.equal(second.used, 150);
+    assert.equal(second.byOperation['search.list'].calls, 1);
+});
+
+test('ledger ignores usage saved before the last reset', (t) => {
+    const filePath = tempLedgerFile(t);
+    fs.writeFileSync(filePath, JSON.stringify({
+        used: 5000,
+        byOperation: {},
+        resetTime: new Date(Date.now() - 60 * 1000).toISOString()
+    }));
+
+    const ledger = new QuotaLedger({ filePath });
+    assert.equal(ledger.used, 0);
+});
+
+test('an explicit 0 safety buffer or warning threshold is kept', (t) => {
+    const { bot, cleanup } = createBot({ env: { QUOTA_SAFETY_BUFFER: '0', QUOTA_WARNING_THRESHOLD: '0' } });
+    t.after(cleanup);
+
+    assert.equal(bot.quota.safetyBuffer, 0);
+    assert.equal(bot.quota.warningThreshold, 0);
+    assert.equal(bot.quota.remaining, bot.quota.limit);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BudgetPlanner } = require('../lib/budget');
+const { CommandRegistry } = require('../lib/commands');
+const { OutboundQueue } = require('../lib/outbound-queue');
+const { ReplyLimiter } = require('../lib/reply-limiter');
+const { StreamSession } = require('../lib/stream-session');
+const { createBot, chatMessage } = require('./helpers');
+
+test('budget spaces ambient replies across the stream', () => {
+    const planner = new BudgetPlanner({ expectedRepliesPerHour: 20, minReplyIntervalMs: 15000 });
+    const plan = planner.update({ remainingQuota: 9000, remainingMs: 60 * 60 * 1000 });
+
+    assert.equal(plan.stage, 'normal');
+    assert.equal(plan.replyIntervalMs, 3 * 60 * 1000);
+    assert.equal(planner.canReply(), true);
+    assert.equal(planner.repliesPerMinute(), 1 / 3);
+});
+
+test('budget stops ambient replies when quota runs short', () => {
+    const planner = new BudgetPlanner();
+    const plan = planner.update({ remainingQuota: 300, remainingMs: 60 * 60 * 1000 });
+
+    assert.equal(plan.stage, 'slow-polling');
+    assert.equal(plan.replyAllowance, 0);
+    assert.equal(planner.canReply(), false);
+    assert.equal(planner.repliesPerMinute(), null);
+});
+
+test('command cooldowns hold back viewers but not the owner', async () => {
+    const registry = new CommandRegistry({ ownerChannelId: 'UCboss' });
+    registry.register({ name: 'hype', userCooldown: 60, handler: () => 'HYPE' });
+
+    const viewer = chatMessage('!hype', { displayName: 'Alice', channelId: 'UCalice' });
+    assert.equal(await registry.execute(viewer, null), 'HYPE');
+    assert.equal(await registry.execute(viewer, null), null);
+
+    const other = chatMessage('!hype', { displayName: 'Bob', channelId: 'UCbob' });
+    assert.equal(await registry.execute(other, null), 'HYPE');
+
+    const owner = chatMessage('!hype', { displayName: 'Boss', channelId: 'UCboss' });
+    assert.equal(await registry.execute(owner, null), 'HYPE');
+    assert.equal(await registry.execute(owner, null), 'HYPE');
+
+    // Taking the owner's display name doesn't make anyone the owner
+    const impostor = chatMessage('!hype', { displayName: 'Boss', channelId: 'UCimpostor' });
+    assert.equal(await registry.execute(impostor, null), 'HYPE');
+    assert.equal(await registry.execute(impostor, null), null);
+});
+
+test('outbound queue sends the same text once per window', async () => {
+    const sent = [];
+    const queue = new OutboundQueue({ send: async item => sent.push(item.text) > 0 });
+
+    assert.equal(await queue.enqueue('GG', { liveChatId: 'chat' }), true);
+    assert.equal(await queue.enqueue('gg', { liveChatId: 'chat' }), false);
+    assert.equal(await queue.enqueue('GG', { liveChatId: 'other-chat' }), true);
+    assert.deepEqual(sent, ['GG', 'GG']);
+    assert.equal(queue.stats().duplicates, 1);
+});
+
+test('outbound queue sends owner messages before ambient chatter', async () => {
+    const sent = [];
+    const queue = new OutboundQueue({ send: async item => sent.push(item.text) > 0 });
+
+    await Promise.all([
+        queue.enqueue('ambient', { liveChatId: 'chat', priority: 'ambient' }),
+        queue.enqueue('command', { liveChatId: 'chat', priority: 'command' }),
+        queue.enqueue('owner', { liveChatId: 'chat', priority: 'owner' })
+    ]);
+    assert.deepEqual(sent, ['owner', 'command', 'ambient']);
+});
+
+test('processMessage paces ambient replies at the rate the quota plan allows', async (t) => {
+    const { bot, cleanup } = createBot();
+    t.after(cleanup);
+
+    const sent = [];
+    bot.sendMessage = async (text, liveChatId, options) => sent.push({ text, options }) > 0;
+    bot.personality.random = () => 0;
+    bot.limiter = new ReplyLimiter({ global: { burst: 2, perMinute: 10 } });
+
+    const session = new StreamSession({ videoId: 'video1', liveChatId: 'chat1', title: 'Test stream' }, { minReplyIntervalMs: 60 * 1000 });
+    const plan = bot.planBudget(session);
+    const stream = bot.limiter.buckets.get('video1');
+    assert.equal(stream.perMs * 60000, Math.min(10, 60000 / plan.replyIntervalMs));
+
+    // A short burst goes out, then the stream's bucket has to refill
+    for (const [index, name] of ['Alice', 'Bob', 'Carol'].entries()) {
+        await bot.processMessage(chatMessage(`what an amazing play ${index}`, { displayName: name, channelId: `UC${name}` }), session);
+    }
+    assert.equal(sent.length, 2);
+    assert.equal(sent[0].options.priority, 'ambient');
+
+    // Nothing at all once the plan can't afford ambient replies
+    stream.tokens = 2;
+    session.budget.update({ remainingQuota: 300, remainingMs: 60 * 60 * 1000 });
+    await bot.processMessage(chatMessage('what an amazing play', { displayName: 'Dave', channelId: 'UCdave' }), session);
+    assert.equal(sent.length, 2);
+});
@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { ReplyLimiter, TokenBucket, DEFAULTS } = require('../lib/reply-limiter');
+const { StreamSession } = require('../lib/stream-session');
+const { createBot, chatMessage } = require('./helpers');
+
+// A live session with a fresh quota plan, as the bot has it once polling starts
+function openSession(bot) {
+    const session = new StreamSession({ videoId: 'video1', liveChatId: 'chat1', title: 'Test stream' });
+    bot.planBudget(session);
+    return session;
+}
+
+test('token buckets allow a burst, then refill over time', () => {
+    const bucket = new TokenBucket({ burst: 2, perMinute: 2 }, 0);
+    assert.equal(bucket.available(0), true);
+    bucket.take();
+    bucket.take();
+    assert.equal(bucket.available(0), false);
+    assert.equal(bucket.available(29 * 1000), false);
+    assert.equal(bucket.available(30 * 1000), true);
+
+    // Never fills past the burst
+    bucket.available(600 * 1000);
+    assert.equal(bucket.tokens, 2);
+});
+
+test('limits are per viewer, per stream and per category', () => {
+    const limiter = new ReplyLimiter({
+        user: { burst: 2, perMinute: 1 },
+        global: { burst: 4, perMinute: 1 },
+        categories: { greetings: { burst: 1, perMinute: 1 } }
+    });
+    const alice = { userId: 'UCalice', role: 'viewer', streamKey: 'video1' };
+    const bob = { userId: 'UCbob', role: 'viewer', streamKey: 'video1' };
+
+    assert.equal(limiter.take({ ...alice, category: 'reactions' }, 0), null);
+    assert.equal(limiter.take({ ...alice, category: 'reactions' }, 0), null);
+    assert.equal(limiter.take({ ...alice, category: 'reactions' }, 0), 'user');
+    assert.equal(limiter.check({ ...alice, category: null }, 0), 'user');
+
+    // Alice using up her own allowance doesn't stop Bob
+    assert.equal(limiter.take({ ...bob, category: 'greetings' }, 0), null);
+    assert.equal(limiter.take({ ...bob, category: 'greetings' }, 0), 'greetings');
+    assert.equal(limiter.take({ ...bob, category: 'reactions' }, 0), null);
+    // Commands have their own bucket, the stream's one is only for replies
+    assert.equal(limiter.take({ userId: 'UCcarol', role: 'viewer', streamKey: 'video1', category: 'commands' }, 0), null);
+    assert.equal(limiter.take({ userId: 'UCcarol', role: 'viewer', streamKey: 'video1', category: 'reactions' }, 0), 'global');
+
+    // Another stream has its own buckets; moderators only count towards the stream's
+    assert.equal(limiter.take({ userId: 'UCcarol', role: 'viewer', streamKey: 'video2', category: 'commands' }, 0), null);
+    assert.equal(limiter.take({ ...alice, role: 'moderator', streamKey: 'video2', category: 'reactions' }, 0), null);
+    assert.equal(limiter.take({ ...alice, role: 'moderator', category: 'reactions' }, 0), 'global');
+    assert.equal(limiter.take({ ...alice, role: 'moderator', category: 'commands' }, 0), null);
+    assert.equal(limiter.stats(0).held, 4);
+
+    limiter.forget('video1', 0);
+    assert.deepEqual([...limiter.buckets.keys()], ['video2:commands', 'video2']);
+});
+
+test('commands keep working when the quota plan slows ambient replies right down', () => {
+    const limiter = new ReplyLimiter({ global: { burst: 2, perMinute: 10 } });
+    limiter.pace('video1', 0.1, 0);
+    const viewer = index => ({ userId: `UCviewer${index}`, role: 'viewer', streamKey: 'video1' });
+
+    for (let index = 0; index < 2; index++) {
+        assert.equal(limiter.take({ ...viewer(index), category: 'reactions' }, 0), null);
+    }
+    assert.equal(limiter.take({ ...viewer(99), category: 'reactions' }, 60 * 1000), 'global');
+
+    // A command a minute from ten different viewers is well within the commands bucket
+    for (let index = 0; index < 10; index++) {
+        assert.equal(limiter.take({ ...viewer(index), category: 'commands' }, (index + 1) * 60 * 1000), null);
+    }
+});
+
+test('viewers who keep setting off triggers are muted for a while', () => {
+    const limiter = new ReplyLimiter({ spam: { triggers: 3, windowSeconds: 10, muteMinutes: 1 } });
+    const spammer = { userId: 'UCspam', role: 'viewer', streamKey: 'video1' };
+
+    assert.equal(limiter.trigger(spammer, 0), null);
+    assert.equal(limiter.trigger(spammer, 1000), null);
+    assert.equal(limiter.trigger(spammer, 2000), 'spam');
+    assert.equal(limiter.trigger(spammer, 3000), 'muted');
+    assert.equal(limiter.check({ ...spammer, category: 'reactions' }, 3000), 'muted');
+    assert.equal(limiter.stats(3000).mutedViewers, 1);
+
+    assert.equal(limiter.trigger(spammer, 62 * 1000), null);
+    // Triggers spread out over more than the window are fine
+    const regular = { userId: 'UCregular', role: 'viewer', streamKey: 'video1' };
+    assert.ok([0, 6000, 12000, 18000].every(time => limiter.trigger(regular, time) === null));
+});
+
+test('buckets and mutes carry over a restart through the checkpoint', async (t) => {
+    const { bot, cleanup } = createBot();
+    t.after(cleanup);
+    const spammer = { userId: 'UCspam', role: 'viewer', streamKey: 'video1' };
+    const now = Date.now();
+    bot.limiter = new ReplyLimiter({ global: { burst: 2, perMinute: 1 }, spam: { triggers: 2, windowSeconds: 60, muteMinutes: 10 } });
+    bot.limiter.take({ userId: 'UCalice', role: 'viewer', streamKey: 'video1', category: 'reactions' }, now);
+    bot.limiter.trigger(spammer, now);
+    bot.limiter.trigger(spammer, now);
+    bot.saveCheckpoint();
+
+    const saved = bot.checkpoint.load();
+    const restarted = new ReplyLimiter({ global: { burst: 2, perMinute: 1 } });
+    restarted.restore(JSON.parse(JSON.stringify(saved.replyLimits)));
+    assert.equal(restarted.check({ ...spammer, category: 'reactions' }, now + 1000), 'muted');
+    assert.equal(restarted.take({ userId: 'UCbob', role: 'viewer', streamKey: 'video1', category: 'reactions' }, now + 1000), null);
+    // Only one token was left, a fresh limiter would have had two
+    assert.equal(restarted.take({ userId: 'UCcarol', role: 'viewer', streamKey: 'video1', category: 'reactions' }, now + 1000), 'global');
+    assert.deepEqual(Object.keys(saved.replyLimits.users), ['UCalice', 'UCspam']);
+});
+
+test('reply limits config is validated and IGNORE_USERS adds to the list', (t) => {
+    const { bot, dir, cleanup } = createBot({ env: { IGNORE_USERS: 'OtherBot, UCotherbot' } });
+    t.after(cleanup);
+
+    assert.ok(bot.limiter.isIgnored({ displayName: 'nightbot', channelId: 'UCx' }));
+    assert.ok(bot.limiter.isIgnored({ displayName: 'Somebody', channelId: 'UCotherbot' }));
+    assert.ok(bot.limiter.isIgnored({ displayName: 'OtherBot', channelId: 'UCy' }));
+    assert.ok(!bot.limiter.isIgnored({ displayName: 'Alice', channelId: 'UCalice' }));
+
+    const file = path.join(dir, 'reply-limits.json');
+    fs.writeFileSync(file, JSON.stringify({ ignoreUsers: ['Nightbot'], categories: { greetings: { burst: 0, perMinute: 1 } } }));
+    assert.throws(() => ReplyLimiter.fromFile(file), /Invalid reply limits config .*"greetings" needs a burst/);
+
+    fs.writeFileSync(file, JSON.stringify({ ignoreUsers: ['Nightbot'] }));
+    const limiter = ReplyLimiter.fromFile(file, { ignoreUsers: ['OtherBot'] });
+    assert.deepEqual(limiter.settings.ignoreUsers, ['Nightbot', 'OtherBot']);
+});
+
+test('processMessage stops answering a viewer farming replies but still answers others', async (t) => {
+    const { bot, cleanup } = createBot();
+    t.after(cleanup);
+
+    const sent = [];
+    bot.sendMessage = async (text, liveChatId, options) => sent.push({ text, options }) > 0;
+    bot.personality.random = () => 0;
+    bot.limiter = new ReplyLimiter({ user: { burst: 2, perMinute: 1 }, spam: { triggers: 4, windowSeconds: 60, muteMinutes: 10 } });
+    const session = openSession(bot);
+    const alice = { displayName: 'Alice', channelId: 'UCalice' };
+
+    // Different lines each time, so moderation's repeat check stays out of it
+    for (const text of ['what an amazing play', 'insane play!', 'incredible play']) {
+        await bot.processMessage(chatMessage(text, alice), session);
+    }
+    assert.equal(sent.length, 2);
+
+    await bot.processMessage(chatMessage('what an amazing play', { displayName: 'Bob', channelId: 'UCbob' }), session);
+    assert.equal(sent.length, 3);
+
+    // The fourth trigger in a minute mutes her, commands included
+    await bot.processMessage(chatMessage('another amazing play', alice), session);
+    await bot.processMessage(chatMessage('!points', alice), session);
+    assert.equal(sent.length, 3);
+    assert.equal(bot.limiter.stats().mutedViewers, 1);
+    assert.equal(bot.getStatus().replyLimits.held, 1);
+    assert.match(bot.metrics.registry.render(), /chatbot_replies_limited_total\{limit="spam"\} 1/);
+});
+
+test('with the default limits several viewers greeting the bot get answered', async (t) => {
+    const { bot, cleanup } = createBot();
+    t.after(cleanup);
+
+    const sent = [];
+    bot.sendMessage = async (text, liveChatId, options) => sent.push({ text, options }) > 0;
+    bot.personality.random = () => 0;
+    const session = openSession(bot);
+
+    for (const name of ['Ann', 'Ben', 'Cat', 'Dan', 'Eve', 'Fay']) {
+        await bot.processMessage(chatMessage(`hi ${bot.config.botName}`, { displayName: name, channelId: `UC${name}` }), session);
+    }
+    // The greetings bucket's burst, not one reply per quota interval
+    assert.equal(sent.length, DEFAULTS.categories.greetings.burst);
+    assert.equal(bot.limiter.stats().held, 6 - DEFAULTS.categories.greetings.burst);
+});
+
+test('other bots are ignored and the bot recognizes itself by channel ID', async (t) => {
+    const { bot, cleanup } = createBot({ env: { BOT_CHANNEL_ID: 'UCourbot' } });
+    t.after(cleanup);
+
+    const sent = [];
+    bot.sendMessage = async (text) => sent.push(text) > 0;
+    bot.personality.random = () => 0;
+    const session = openSession(bot);
+
+    await bot.processMessage(chatMessage('what an amazing play', { displayName: 'Nightbot', channelId: 'UCnightbot' }), session);
+    await bot.processMessage(chatMessage('what an amazing play', { displayName: 'Renamed', channelId: 'UCourbot' }), session);
+    assert.equal(sent.length, 0);
+
+    // A viewer who happens to share the bot's display name still gets answered
+    await bot.processMessage(chatMessage('what an amazing play', { displayName: bot.config.botName, channelId: 'UCfan' }), session);
+    assert.equal(sent.length, 1);
+});
+
+test('the bot looks up its channel ID at startup and never goes by display name', async (t) => {
+    const { bot, cleanup } = createBot({
+        env: { MIN_POLL_INTERVAL_MS: '20', SIMULATION_CHECK_SECONDS: '1' },
+        script: {
+            pollingIntervalMillis: 50,
+            events: [
+                { at: 0, action: 'start' },
+                { at: 10, action: 'end' }
+            ]
+        }
+    });
+    t.after(cleanup);
+
+    // Before the lookup nobody counts as the bot, not even a viewer using its name
+    assert.equal(bot.isOwnMessage({ displayName: bot.config.botName, channelId: 'UCfan' }), false);
+
+    await bot.startContinuousMonitoring();
+    assert.equal(bot.botChannelId, bot.simulator.botChannelId);
+    assert.ok(bot.simulator.calls.some(call => call.method === 'channels.list' && call.params.mine));
+    assert.equal(bot.isOwnMessage({ displayName: 'Renamed', channelId: bot.simulator.botChannelId }), true);
+    assert.equal(bot.isOwnMessage({ displayName: bot.config.botName, channelId: 'UCfan' }), false);
+});
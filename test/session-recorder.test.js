@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SessionRecorder, buildReport, reportToCsv } = require('../lib/session-recorder');
+const { StreamSession } = require('../lib/stream-session');
+const { createBot, chatMessage } = require('./helpers');
+
+function tempRecorder(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new SessionRecorder({ dir, ...options });
+}
+
+const at = minutes => new Date(Date.UTC(2026, 0, 1, 10, minutes)).toISOString();
+
+test('buildReport sums up chat, replies, commands and quota', () => {
+    const chat = (minute, author, locale = 'en') => ({ kind: 'chat', t: at(minute), author, authorChannelId: `UC${author}`, locale });
+    const report = buildReport([
+        { kind: 'start', t: at(0), videoId: 'video1', channelId: 'UCchannel', title: 'Ranked grind' },
+        chat(1, 'Alice'),
+        chat(1, 'Bob', 'es'),
+        chat(1, 'Alice'),
+        chat(5, 'Alice'),
+        { kind: 'reply', t: at(5), rule: 'amazing' },
+        { kind: 'reply', t: at(6), rule: 'amazing' },
+        { kind: 'reply', t: at(7), rule: null },
+        { kind: 'command', t: at(8), name: 'points' },
+        { kind: 'quota', t: at(9), operation: 'liveChatMessages.list', cost: 5 },
+        { kind: 'quota', t: at(70), operation: 'liveChatMessages.insert', cost: 50 },
+        { kind: 'end', t: at(90) }
+    ]);
+
+    assert.equal(report.videoId, 'video1');
+    assert.equal(report.durationMinutes, 90);
+    assert.equal(report.messages, 4);
+    assert.equal(report.uniqueChatters, 2);
+    assert.deepEqual(report.peakMessagesPerMinute, { count: 3, minute: '2026-01-01T10:01Z' });
+    assert.deepEqual(report.topChatters.map(chatter => [chatter.author, chatter.messages]), [['Alice', 3], ['Bob', 1]]);
+    assert.deepEqual(report.topRules, [{ rule: 'amazing', count: 2 }]);
+    assert.deepEqual(report.commands, [{ name: 'points', count: 1 }]);
+    assert.deepEqual(report.languages, [{ locale: 'en', count: 3 }, { locale: 'es', count: 1 }]);
+    assert.equal(report.replies, 3);
+    assert.equal(report.replyRate, 0.75);
+    assert.equal(report.repliesPerHour, 2);
+    assert.deepEqual(report.quota, {
+        total: 55,
+        perHour: [{ hour: '2026-01-01T10:00Z', units: 5 }, { hour: '2026-01-01T11:00Z', units: 50 }]
+    });
+
+    const rows = reportToCsv(report).trim().split('\n');
+    assert.equal(rows[0], 'section,name,value');
+    assert.ok(rows.includes('summary,title,Ranked grind'));
+    assert.ok(rows.includes('topChatter,Alice,3'));
+    assert.ok(rows.includes('language,es,1'));
+    assert.ok(rows.includes('quotaPerHour,2026-01-01T11:00Z,50'));
+});
+
+test('the recorder writes a JSONL log and a report when the stream ends', (t) => {
+    const recorder = tempRecorder(t);
+    const session = { videoId: 'video1', channelId: 'UCchannel', title: 'Ranked grind' };
+
+    // Nothing is written for a stream that isn't being recorded
+    recorder.record('video1', 'chat', { author: 'Early' });
+    assert.equal(fs.existsSync(recorder.filePath('video1')), false);
+
+    recorder.start(session);
+    recorder.start(session);
+    recorder.record('video1', 'chat', { author: 'Alice', authorChannelId: 'UCalice', text: 'hi' });
+    recorder.record('video1', 'reply', { text: 'hey Alice', rule: 'greetings' });
+    // A crash can leave half a line at the end
+    fs.appendFileSync(recorder.filePath('video1'), '{"kind":"chat","t":');
+
+    const entries = recorder.readEntries('video1');
+    assert.deepEqual(entries.map(entry => entry.kind), ['start', 'chat', 'reply']);
+
+    fs.appendFileSync(recorder.filePath('video1'), '\n');
+    const report = recorder.finish('video1');
+    assert.equal(report.messages, 1);
+    assert.equal(report.replies, 1);
+    assert.equal(recorder.finish('video1'), null);
+    assert.deepEqual(recorder.getReport('video1'), report);
+    assert.deepEqual(recorder.listReports().map(summary => summary.videoId), ['video1']);
+
+    assert.equal(recorder.getReport('../etc/passwd'), null);
+    assert.throws(() => recorder.filePath('../video1'), /Invalid video ID/);
+});
+
+test('SESSION_RECORDING=false records nothing', (t) => {
+    const recorder = tempRecorder(t, { enabled: false });
+    recorder.start({ videoId: 'video1' });
+    recorder.record('video1', 'chat', { author: 'Alice' });
+    assert.equal(recorder.finish('video1'), null);
+    assert.deepEqual(recorder.listReports(), []);
+});
+
+test('every chat message is recorded, including the bot\'s own and ignored bots\'', async (t) => {
+    const { bot, cleanup } = createBot({ env: { BOT_CHANNEL_ID: 'UCourbot' } });
+    t.after(cleanup);
+    bot.sendMessage = async () => true;
+    const session = new StreamSession({ videoId: 'video1', liveChatId: 'chat1', title: 'Test stream' });
+    bot.recorder.start(session);
+
+    await bot.processMessage(chatMessage('hello everyone', { displayName: 'Alice', channelId: 'UCalice' }), session);
+    await bot.processMessage(chatMessage('Type !discord to join', { displayName: 'Nightbot', channelId: 'UCnightbot' }), session);
+    await bot.processMessage(chatMessage('welcome Alice!', { displayName: bot.config.botName, channelId: 'UCourbot' }), session);
+
+    const chat = bot.recorder.readEntries('video1').filter(entry => entry.kind === 'chat');
+    assert.deepEqual(chat.map(entry => entry.author), ['Alice', 'Nightbot', bot.config.botName]);
+    assert.equal(chat[2].own, true);
+
+    // The bot's own lines are replies in the report, not chat
+    const report = bot.recorder.finish('video1');
+    assert.equal(report.messages, 2);
+    assert.equal(report.uniqueChatters, 2);
+});
+
+test('CSV export defuses cells a spreadsheet would run as formulas', () => {
+    const chat = (author, t) => ({ kind: 'chat', t, author, authorChannelId: `UC${author.length}`, text: 'hi' });
+    const report = buildReport([
+        { kind: 'start', t: '2026-01-01T10:00:00.000Z', videoId: 'video1', title: '=HYPERLINK("http://evil.example")' },
+        chat('@SUM(A1:A9)', '2026-01-01T10:01:00.000Z'),
+        chat('-2+3', '2026-01-01T10:02:00.000Z'),
+        { kind: 'quota', t: '2026-01-01T10:03:00.000Z', cost: -1 }
+    ]);
+    const rows = reportToCsv(report).split('\n');
+
+    assert.ok(rows.includes('summary,title,"\'=HYPERLINK(""http://evil.example"")"'));
+    assert.ok(rows.includes("topChatter,'@SUM(A1:A9),1"));
+    assert.ok(rows.includes("topChatter,'-2+3,1"));
+    // Numbers are left alone
+    assert.ok(rows.includes('summary,quotaTotal,-1'));
+});